@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -25,8 +26,36 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
-    req.user = decoded;
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed, please log in again'
+      });
+    }
+
+    // Access tokens are bound to a session so logout takes effect immediately
+    const session = decoded.sessionId
+      ? await Session.findOne({ _id: decoded.sessionId, user: user._id }).select('revokedAt expiresAt')
+      : null;
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
+
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'Your account has been suspended'
+      });
+    }
+
+    // Add token claims and the full user document to request object
+    req.user = { ...decoded, role: user.role };
+    req.currentUser = user;
     next();
 
   } catch (error) {
@@ -53,4 +82,17 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth; 
\ No newline at end of file
+// Restrict a route to users with one of the given roles.
+// Must run after the auth middleware, e.g. router.get('/', auth, requireRole('admin'), ...)
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.currentUser || !req.currentUser.hasRole(...roles)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+module.exports = auth;
+module.exports.requireRole = requireRole;
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// JSON with object keys sorted, so the same body always fingerprints the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+// Honour an optional Idempotency-Key header: the first request runs and its
+// response is stored; repeats with the same key get that response replayed.
+// Must run after the auth middleware and before validators that rewrite req.body.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key cannot exceed 255 characters'
+    });
+  }
+
+  try {
+    const ttlHours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+    const fingerprint = fingerprintRequest(req);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user.userId,
+        fingerprint,
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+      });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+
+      // Key already used: replay, or explain why we can't
+      const existing = await IdempotencyKey.findOne({ user: req.user.userId, key });
+      if (!existing || existing.expiresAt <= new Date()) {
+        // Expired (MongoDB's TTL sweep is lazy), so the key is free to reuse
+        if (existing) await IdempotencyKey.deleteOne({ _id: existing._id });
+        return idempotency(req, res, next);
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          success: false,
+          code: 'IDEMPOTENCY_KEY_MISMATCH',
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status === 'IN_PROGRESS') {
+        return res.status(409).json({
+          success: false,
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before it is sent: a client that disconnects
+    // mid-request never sees 'finish', but its retry must still get a replay
+    let captured = null;
+    let storing = null;
+    const storeResponse = () => {
+      if (!storing) {
+        storing = (async () => {
+          if (captured.status >= 500) {
+            // Not stored, so the client can retry with the same key. Handlers
+            // answer 5xx from their catch blocks, which usually means their
+            // transaction never committed; if it did, the retry runs again
+            await IdempotencyKey.deleteOne({ _id: record._id });
+            return;
+          }
+
+          await IdempotencyKey.updateOne(
+            { _id: record._id },
+            { $set: { status: 'COMPLETED', responseStatus: captured.status, responseBody: captured.body } }
+          );
+        })().catch((storeError) => {
+          storing = null;
+          throw storeError;
+        });
+      }
+      return storing;
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      captured = { status: res.statusCode, body };
+      storeResponse()
+        .catch(storeError => console.error('Failed to store idempotent response:', storeError))
+        .then(() => originalJson(body))
+        .catch(sendError => console.error('Failed to send idempotent response:', sendError));
+      return res;
+    };
+
+    // Once the connection is done, try again if storing the response failed
+    // (a no-op if it was stored). Before the handler answers there is nothing
+    // to store yet; its res.json call stores the response when it comes.
+    res.once('close', () => {
+      if (!captured) return;
+      storeResponse().catch(storeError => console.error('Failed to store idempotent response:', storeError));
+    });
+
+    next();
+
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking Idempotency-Key'
+    });
+  }
+};
+
+module.exports = idempotency;
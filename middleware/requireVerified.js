@@ -0,0 +1,21 @@
+// Email verification policy for money-moving routes.
+// Set REQUIRE_EMAIL_VERIFICATION=false to let unverified accounts through.
+const isVerificationRequired = () => {
+  return (process.env.REQUIRE_EMAIL_VERIFICATION || 'true').trim().toLowerCase() !== 'false';
+};
+
+// Must run after the auth middleware, which attaches req.currentUser
+const requireVerified = (req, res, next) => {
+  if (isVerificationRequired() && !req.currentUser.isVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address before continuing'
+    });
+  }
+
+  next();
+};
+
+module.exports = requireVerified;
+module.exports.isVerificationRequired = isVerificationRequired;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Audit log entry for every action taken through the admin API
+const adminActionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'SUSPEND_USER',
+      'UNSUSPEND_USER',
+      'CHANGE_ROLE',
+      'ADJUST_BALANCE',
+      'REVERSE_TRANSACTION',
+      'REVIEW_FLAG',
+      'CREATE_VALUE',
+      'UPDATE_VALUE',
+      'DELETE_VALUE',
+      'CREATE_REWARD',
+      'UPDATE_REWARD',
+      'DEACTIVATE_REWARD',
+      'ADJUST_STOCK',
+      'UPDATE_REDEMPTION',
+      'CLEAR_LOCKOUT'
+    ],
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+adminActionSchema.index({ createdAt: -1 });
+adminActionSchema.index({ targetUser: 1, createdAt: -1 });
+adminActionSchema.index({ admin: 1, createdAt: -1 });
+
+// Static method to record an admin action from a request
+// (pass a session to make the record part of a transaction)
+adminActionSchema.statics.record = async function(req, { action, targetUser = null, reason = null, details = {} }, session = null) {
+  const [adminAction] = await this.create([{
+    admin: req.user.userId,
+    action,
+    targetUser,
+    reason,
+    details,
+    ip: req.ip
+  }], { session });
+  return adminAction;
+};
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
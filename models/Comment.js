@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A comment on a SEND. Replies point at their parent comment; deleted
+// comments keep their place in the thread with the body cleared.
+const commentSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenTransaction',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    trim: true,
+    default: ''
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+commentSchema.index({ transaction: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
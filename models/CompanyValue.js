@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A company value that thank-you messages can be tagged with (#ownership).
+// Once any active values exist, only their tags are accepted in sends.
+const companyValueSchema = new mongoose.Schema({
+  tag: {
+    type: String,
+    required: [true, 'Tag is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters'],
+    match: [/^[a-z][a-z0-9_-]*$/, 'Tags start with a letter and contain only letters, digits, - and _']
+  },
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CompanyValue', companyValueSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Stored result of a request made with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of method, path and body, to detect a key reused for a different request
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED'],
+    default: 'IN_PROGRESS'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// Let MongoDB remove keys once their TTL passes
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
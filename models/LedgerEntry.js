@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One leg of a double-entry posting. Every posting (journal) has debits and
+// credits of equal total; a user's balance is the sum of their credits minus
+// the sum of their debits.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenTransaction',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: [
+      'SEND', 'REDEEM', 'PURCHASE', 'ADJUSTMENT', 'SIGNUP_BONUS', 'OPENING_BALANCE',
+      'ESCROW_HOLD', 'ESCROW_RELEASE', 'REVERSAL', 'ALLOWANCE_GRANT', 'ALLOWANCE_EXPIRY'
+    ],
+    required: true
+  },
+  // Either a user account or a named system account
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Which of the user's balances the leg touches (user legs only)
+  bucket: {
+    type: String,
+    enum: ['GIVE', 'EARNED', null],
+    default: null
+  },
+  systemAccount: {
+    type: String,
+    enum: ['ISSUANCE', 'PURCHASES', 'REDEMPTIONS', 'ADJUSTMENTS', 'ESCROW', 'ALLOWANCE', null],
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['DEBIT', 'CREDIT'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Ledger amount must be positive']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ journalId: 1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+// Entries are immutable once written
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany'], function(next) {
+  next(new Error('Ledger entries cannot be modified'));
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
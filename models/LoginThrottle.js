@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+// Failed login tracking, keyed per account ("account:<email>") and per IP ("ip:<address>")
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['ACCOUNT', 'IP'],
+    required: true
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  firstFailedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastFailedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Forget idle entries after a day
+loginThrottleSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+loginThrottleSchema.index({ lockedUntil: -1 });
+
+// Policy, configurable through the environment
+const getPolicy = () => ({
+  freeAttempts: Number(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+  maxAccountAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+  maxIpAttempts: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50,
+  windowMs: (Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  lockMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000,
+  maxDelaySeconds: 60
+});
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Virtual for whether the key is currently locked out
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Seconds until another attempt is allowed (0 when allowed)
+loginThrottleSchema.methods.getRetryAfter = function() {
+  const { freeAttempts, maxDelaySeconds } = getPolicy();
+  const now = Date.now();
+
+  if (this.isLocked) {
+    return Math.ceil((this.lockedUntil.getTime() - now) / 1000);
+  }
+
+  // Progressive delay: 2s, 4s, 8s... after the free attempts are used up
+  if (this.failedCount > freeAttempts) {
+    const delaySeconds = Math.min(2 ** (this.failedCount - freeAttempts), maxDelaySeconds);
+    const allowedAt = this.lastFailedAt.getTime() + delaySeconds * 1000;
+    return Math.max(0, Math.ceil((allowedAt - now) / 1000));
+  }
+
+  return 0;
+};
+
+// Static method to check whether a login attempt may proceed.
+// Returns { allowed, retryAfter, locked }.
+loginThrottleSchema.statics.check = async function({ email, ip }) {
+  const keys = [accountKey(email)];
+  if (ip) keys.push(ipKey(ip));
+
+  const entries = await this.find({ key: { $in: keys } });
+  let retryAfter = 0;
+  let locked = false;
+
+  entries.forEach(entry => {
+    retryAfter = Math.max(retryAfter, entry.getRetryAfter());
+    locked = locked || entry.isLocked;
+  });
+
+  return { allowed: retryAfter === 0, retryAfter, locked };
+};
+
+// Record a failure for one key; returns { entry, justLocked }
+const recordFailure = async (Model, key, kind, maxAttempts) => {
+  const { windowMs, lockMs } = getPolicy();
+  const now = new Date();
+
+  // Start a fresh window once the previous one has passed (unless locked)
+  await Model.updateOne(
+    {
+      key,
+      firstFailedAt: { $lt: new Date(now.getTime() - windowMs) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { failedCount: 0, firstFailedAt: now } }
+  );
+
+  const entry = await Model.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failedCount: 1 },
+      $set: { lastFailedAt: now },
+      $setOnInsert: { kind, firstFailedAt: now }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (entry.failedCount < maxAttempts) {
+    return { entry, justLocked: false };
+  }
+
+  // Lock out, doubling the duration for each repeated lockout (capped at a day).
+  // Conditional so that only one concurrent request performs the lock.
+  const lockDuration = Math.min(lockMs * 2 ** entry.lockCount, 24 * 60 * 60 * 1000);
+  const locked = await Model.findOneAndUpdate(
+    { _id: entry._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    {
+      $set: { lockedUntil: new Date(now.getTime() + lockDuration), failedCount: 0, firstFailedAt: now },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+
+  return { entry: locked || entry, justLocked: Boolean(locked) };
+};
+
+// Static method to record a failed attempt for an account and IP.
+// Returns { accountLocked, lockedUntil } so the caller can notify the owner.
+loginThrottleSchema.statics.registerFailure = async function({ email, ip }) {
+  const { maxAccountAttempts, maxIpAttempts } = getPolicy();
+
+  const account = await recordFailure(this, accountKey(email), 'ACCOUNT', maxAccountAttempts);
+  if (ip) {
+    await recordFailure(this, ipKey(ip), 'IP', maxIpAttempts);
+  }
+
+  return {
+    accountLocked: account.justLocked,
+    lockedUntil: account.entry.lockedUntil
+  };
+};
+
+// Static method to clear an account's failures after a successful login
+loginThrottleSchema.statics.clearAccount = async function(email) {
+  return await this.deleteOne({ key: accountKey(email) });
+};
+
+// Static method to get the lockout state of an account
+loginThrottleSchema.statics.getAccountState = async function(email) {
+  return await this.findOne({ key: accountKey(email) });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A send that broke a flag-only sending rule and went through, queued for admin review
+const policyFlagSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenTransaction',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  violations: [{
+    _id: false,
+    code: String,
+    message: String
+  }],
+  status: {
+    type: String,
+    enum: ['OPEN', 'DISMISSED', 'REVERSED'],
+    default: 'OPEN'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+policyFlagSchema.index({ status: 1, createdAt: -1 });
+policyFlagSchema.index({ sender: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PolicyFlag', policyFlagSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A collective gift: many users pledge tokens (held in escrow) that are
+// released to one recipient at the deadline or when the creator closes it.
+// Each pledge is a PENDING SEND TokenTransaction pointing at the pot.
+const potSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    maxlength: [100, 'Title cannot exceed 100 characters'],
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    trim: true,
+    default: ''
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'RELEASED', 'CANCELLED'],
+    default: 'OPEN'
+  },
+  // Running totals, updated in the same transaction as each pledge
+  totalPledged: {
+    type: Number,
+    default: 0
+  },
+  pledgeCount: {
+    type: Number,
+    default: 0
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+potSchema.index({ status: 1, deadline: 1 });
+potSchema.index({ recipient: 1, createdAt: -1 });
+potSchema.index({ creator: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Pot', potSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One user's emoji reaction to a SEND; a user can add several different emoji
+const reactionSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenTransaction',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  emoji: {
+    type: String,
+    required: [true, 'Emoji is required'],
+    maxlength: [16, 'Emoji cannot exceed 16 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+reactionSchema.index({ transaction: 1, user: 1, emoji: 1 }, { unique: true });
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// A standing instruction to send the same thank-you on a schedule
+const recurringSendSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Token amount is required'],
+    min: [1, 'Amount must be at least 1']
+  },
+  // May use {{recipientFirstName}}, {{senderFirstName}}, {{month}} and {{date}}
+  messageTemplate: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [500, 'Message cannot exceed 500 characters'],
+    trim: true
+  },
+  cadence: {
+    type: String,
+    enum: ['WEEKLY', 'MONTHLY', 'CUSTOM'],
+    required: true
+  },
+  // 5-field cron rule in UTC; derived from the cadence for WEEKLY and MONTHLY
+  cronRule: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'PAUSED'],
+    default: 'ACTIVE'
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastResult: {
+    type: String,
+    enum: ['SENT', 'SKIPPED_INSUFFICIENT_BALANCE', 'SKIPPED_RECIPIENT_UNAVAILABLE', 'SKIPPED_OWNER_UNAVAILABLE', 'SKIPPED_SEND_POLICY', null],
+    default: null
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  skipCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+recurringSendSchema.index({ owner: 1, createdAt: -1 });
+recurringSendSchema.index({ status: 1, nextRunAt: 1 });
+
+// Method to fill in the message template for one run
+recurringSendSchema.methods.renderMessage = function({ sender, recipient, date = new Date() }) {
+  const values = {
+    recipientFirstName: recipient.firstName,
+    senderFirstName: sender.firstName,
+    month: date.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' }),
+    date: date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+  };
+
+  return this.messageTemplate
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match))
+    .slice(0, 500);
+};
+
+module.exports = mongoose.model('RecurringSend', recurringSendSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A reward someone redeemed, tracked until it is delivered. The tokens are
+// taken by the REDEEM transaction; cancelling or refunding reverses it.
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reward',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenTransaction',
+    required: true
+  },
+  // Copied from the reward at redemption time so later catalog edits don't change it
+  rewardName: {
+    type: String,
+    required: true
+  },
+  tokenCost: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['REQUESTED', 'APPROVED', 'FULFILLED', 'CANCELLED', 'REFUNDED'],
+    default: 'REQUESTED'
+  },
+  // When the reward's redemption code was first emailed to the user (on
+  // approval or fulfilment); after that the user can no longer cancel
+  codeRevealedAt: {
+    type: Date,
+    default: null
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+redemptionSchema.index({ user: 1, createdAt: -1 });
+redemptionSchema.index({ status: 1, createdAt: 1 });
+redemptionSchema.index({ transaction: 1 });
+
+module.exports = mongoose.model('Redemption', redemptionSchema);
@@ -65,12 +65,19 @@ rewardSchema.methods.canAfford = function(userTokenBalance) {
   return userTokenBalance >= this.tokenCost;
 };
 
-// Method to redeem reward (decrease stock if applicable)
-rewardSchema.methods.redeem = async function() {
-  if (this.stock > 0) {
-    this.stock -= 1;
-    await this.save();
-  }
+// Method to redeem reward (decrease stock if applicable).
+// Conditional update so concurrent redemptions can't oversell; returns null when out of stock.
+rewardSchema.methods.redeem = async function(session = null) {
+  if (this.stock === -1) return this;
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, stock: { $gt: 0 } },
+    { $inc: { stock: -1 } },
+    { new: true, session }
+  );
+  if (!updated) return null;
+
+  this.stock = updated.stock;
   return this;
 };
 
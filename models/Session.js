@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How many rotated-out refresh tokens to remember for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the refresh token currently valid for this session (token family)
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means reuse
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['LOGOUT', 'LOGOUT_ALL', 'PASSWORD_RESET', 'REUSE_DETECTED', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Build a refresh token for a session: "<sessionId>.<secret>"
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, tokenHash: hashToken(secret) };
+};
+
+// Split a refresh token into its session id and secret
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Static method to start a new session and return its first refresh token
+sessionSchema.statics.issue = async function(userId, { userAgent, ip } = {}) {
+  const expiresInDays = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  const _id = new mongoose.Types.ObjectId();
+  const { refreshToken, tokenHash } = buildRefreshToken(_id);
+
+  const session = await this.create({
+    _id,
+    user: userId,
+    tokenHash,
+    userAgent: userAgent ? userAgent.slice(0, 500) : null,
+    ip: ip || null,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { session, refreshToken } on success or { error } with one of
+// INVALID, REVOKED, EXPIRED or REUSE_DETECTED.
+sessionSchema.statics.rotate = async function(refreshToken, { ip } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'INVALID' };
+
+  const presentedHash = hashToken(parsed.secret);
+  const next = buildRefreshToken(parsed.sessionId);
+
+  // Conditional update so two concurrent refreshes can't both succeed
+  const session = await this.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { tokenHash: next.tokenHash, lastUsedAt: new Date(), ...(ip && { ip }) },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: next.refreshToken };
+  }
+
+  const existing = await this.findById(parsed.sessionId).select('+previousTokenHashes');
+  if (!existing) return { error: 'INVALID' };
+  if (existing.revokedAt) return { error: 'REVOKED' };
+  if (existing.expiresAt <= new Date()) return { error: 'EXPIRED' };
+
+  // An already-rotated token was presented again: assume it was stolen
+  // and kill the whole token family
+  if (existing.previousTokenHashes.includes(presentedHash)) {
+    await existing.revoke('REUSE_DETECTED');
+    return { error: 'REUSE_DETECTED' };
+  }
+
+  return { error: 'INVALID' };
+};
+
+// Method to revoke this session
+sessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return await this.save();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+  return await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to list a user's active sessions
+sessionSchema.statics.getActiveSessions = async function(userId) {
+  return await this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+  .sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const balancesSchema = {
+  earned: { type: Number, default: 0 },
+  give: { type: Number, default: 0 }
+};
+
+// A user's account statement for one UTC calendar month, generated from the
+// ledger once the month is over. Statements are immutable: only the time it
+// was emailed can be recorded after it is created.
+const statementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // "2026-09"
+  period: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be YYYY-MM']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  openingBalance: balancesSchema,
+  closingBalance: balancesSchema,
+  // Tokens in and out over the month, and the net change per line type
+  totals: {
+    credits: { type: Number, default: 0 },
+    debits: { type: Number, default: 0 },
+    byType: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  lines: [{
+    _id: false,
+    date: Date,
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'TokenTransaction' },
+    // Nested so mongoose doesn't read this field as the line's own type
+    type: { type: String },
+    kind: String,
+    bucket: String,
+    amount: Number,
+    counterpartName: String,
+    counterpartEmail: String,
+    message: String,
+    earnedBalance: Number,
+    giveBalance: Number
+  }],
+  emailedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'generatedAt', updatedAt: false }
+});
+
+// Index for better query performance
+statementSchema.index({ user: 1, period: -1 }, { unique: true });
+statementSchema.index({ period: 1, emailedAt: 1 });
+
+statementSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Statements cannot be modified'));
+  next();
+});
+
+statementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  // $setOnInsert is the timestamps plugin's and never applies to an existing statement
+  const onlyEmailedAt = Object.keys(update).every(key => ['$set', '$setOnInsert'].includes(key)) &&
+    Object.keys(update.$set || {}).every(field => field === 'emailedAt');
+  if (!onlyEmailedAt) return next(new Error('Statements cannot be modified'));
+  next();
+});
+
+statementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Statements cannot be deleted'));
+});
+
+module.exports = mongoose.model('Statement', statementSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const tokenTransactionSchema = new mongoose.Schema({
   sender: {
@@ -6,21 +7,29 @@ const tokenTransactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Null for a claimable send until the claimEmail address registers
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.claimEmail;
+    },
+    default: null
   },
   amount: {
     type: Number,
     required: [true, 'Token amount is required'],
     validate: {
       validator: function(value) {
-        // For SEND/RECEIVE/PURCHASE, amount should be positive
+        // For SEND/RECEIVE/PURCHASE/REVERSAL, amount should be positive
         // For REDEEM, amount can be negative (debit)
+        // For ADJUSTMENT, amount is a signed correction made by an admin
         if (this.transactionType === 'REDEEM') {
           return value < 0;
         }
+        if (this.transactionType === 'ADJUSTMENT') {
+          return value !== 0;
+        }
         return value > 0;
       },
       message: 'Invalid amount for transaction type'
@@ -34,14 +43,75 @@ const tokenTransactionSchema = new mongoose.Schema({
   },
   transactionType: {
     type: String,
-    enum: ['SEND', 'RECEIVE', 'PURCHASE', 'REDEEM'],
+    enum: ['SEND', 'RECEIVE', 'PURCHASE', 'REDEEM', 'ADJUSTMENT', 'REVERSAL'],
     required: true
   },
   status: {
     type: String,
-    enum: ['PENDING', 'COMPLETED', 'FAILED'],
+    enum: ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED', 'REVERSED'],
     default: 'COMPLETED'
   },
+  // Which of the sender's buckets paid for a SEND (GIVE allowance or EARNED
+  // balance); refunds go back to the same bucket. Unset before buckets existed.
+  fundingBucket: {
+    type: String,
+    enum: ['GIVE', 'EARNED']
+  },
+  // Set for future-dated sends; the tokens are held in escrow until then
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  // Claimable sends to an unregistered address; the tokens wait in escrow
+  // until that address registers (or verifies) or the claim expires
+  claimEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  claimToken: {
+    type: String,
+    select: false
+  },
+  claimExpiresAt: {
+    type: Date
+  },
+  // On a REVERSAL: the transaction it compensates
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenTransaction'
+  },
+  // On a REVERSED transaction: the latest compensating REVERSAL and how much
+  // has been returned in total (less than the amount when the recipient had
+  // already spent some, or while a redemption is only partly refunded)
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TokenTransaction'
+  },
+  reversedAmount: {
+    type: Number
+  },
+  // Shared by every transaction created by one POST /api/tokens/send-batch
+  batchId: {
+    type: String
+  },
+  // Normalized company-value hashtags parsed from the message ("ownership")
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  // Who can see, react to and comment on a SEND: PUBLIC sends are open to
+  // every colleague, PARTICIPANTS only to the sender and recipient
+  visibility: {
+    type: String,
+    enum: ['PUBLIC', 'PARTICIPANTS'],
+    default: 'PARTICIPANTS'
+  },
+  // Set on pledges to a kudos pot; they stay PENDING in escrow until the pot is released
+  pot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pot'
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -58,6 +128,19 @@ const tokenTransactionSchema = new mongoose.Schema({
 tokenTransactionSchema.index({ sender: 1, createdAt: -1 });
 tokenTransactionSchema.index({ recipient: 1, createdAt: -1 });
 tokenTransactionSchema.index({ transactionType: 1, createdAt: -1 });
+tokenTransactionSchema.index({ 'metadata.providerPaymentId': 1 }, { sparse: true });
+tokenTransactionSchema.index({ status: 1, scheduledFor: 1 });
+tokenTransactionSchema.index({ visibility: 1, transactionType: 1, status: 1, createdAt: -1 });
+tokenTransactionSchema.index({ tags: 1, createdAt: -1 }, { sparse: true });
+tokenTransactionSchema.index({ message: 'text' });
+tokenTransactionSchema.index({ batchId: 1 }, { sparse: true });
+tokenTransactionSchema.index({ pot: 1, status: 1 }, { sparse: true });
+tokenTransactionSchema.index({ reverses: 1 }, { sparse: true });
+tokenTransactionSchema.index({ claimEmail: 1, status: 1 }, { sparse: true });
+tokenTransactionSchema.index({ status: 1, claimExpiresAt: 1 }, { sparse: true });
+tokenTransactionSchema.index({ claimToken: 1 }, { sparse: true });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 // Virtual for formatted date
 tokenTransactionSchema.virtual('formattedDate').get(function() {
@@ -70,6 +153,30 @@ tokenTransactionSchema.virtual('formattedDate').get(function() {
   });
 });
 
+// Virtual for the bucket escrow refunds go back to (EARNED for sends made before buckets)
+tokenTransactionSchema.virtual('sourceBucket').get(function() {
+  return this.fundingBucket || 'EARNED';
+});
+
+// Method to create a claim token for a claimable send (hash stored, raw token returned)
+tokenTransactionSchema.methods.createClaimToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInDays = Number(process.env.CLAIM_EXPIRE_DAYS) || 30;
+
+  this.claimToken = hashToken(token);
+  this.claimExpiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to find the pending, unexpired claimable send for a claim token
+tokenTransactionSchema.statics.findByClaimToken = async function(token) {
+  return await this.findOne({
+    claimToken: hashToken(token),
+    status: 'PENDING',
+    claimExpiresAt: { $gt: new Date() }
+  });
+};
+
 // Static method to get user transaction history
 tokenTransactionSchema.statics.getUserHistory = async function(userId, limit = 20, skip = 0) {
   return await this.find({
@@ -82,13 +189,27 @@ tokenTransactionSchema.statics.getUserHistory = async function(userId, limit = 2
   .skip(skip);
 };
 
-// Static method to get recent transactions
-tokenTransactionSchema.statics.getRecentTransactions = async function(limit = 10) {
-  return await this.find({ status: 'COMPLETED' })
-  .populate('sender', 'firstName lastName')
-  .populate('recipient', 'firstName lastName')
+// Filter for the gratitude wall: delivered sends their sender made PUBLIC,
+// optionally only those involving one user or carrying one tag
+tokenTransactionSchema.statics.publicFeedFilter = function({ userId = null, tag = null } = {}) {
+  return {
+    transactionType: 'SEND',
+    status: 'COMPLETED',
+    visibility: 'PUBLIC',
+    ...(userId && { $or: [{ sender: userId }, { recipient: userId }] }),
+    ...(tag && { tags: tag })
+  };
+};
+
+// Static method to get recent public transactions
+tokenTransactionSchema.statics.getRecentTransactions = async function(limit = 10, skip = 0, filters = {}) {
+  return await this.find(this.publicFeedFilter(filters))
+  .select('sender recipient amount message tags visibility createdAt')
+  .populate('sender', 'firstName lastName profilePicture')
+  .populate('recipient', 'firstName lastName profilePicture')
   .sort({ createdAt: -1 })
-  .limit(limit);
+  .limit(limit)
+  .skip(skip);
 };
 
 module.exports = mongoose.model('TokenTransaction', tokenTransactionSchema); 
\ No newline at end of file
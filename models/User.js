@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -27,19 +28,122 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  // Earned balance: fed by tokens received, spent on rewards
   tokenBalance: {
     type: Number,
-    default: 500,
+    default: 0,
     min: [0, 'Token balance cannot be negative']
   },
+  // Giving allowance: refilled every month, unused tokens expire
+  giveBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Give balance cannot be negative']
+  },
+  // How much of giveBalance was bought rather than granted. Bought tokens
+  // never expire; the allowance counts as spent first, so what is left of
+  // them is the smaller of this and giveBalance
+  purchasedGiveBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Purchased balance cannot be negative']
+  },
+  // UTC month (YYYY-MM) the current allowance was granted for
+  giveAllowancePeriod: {
+    type: String,
+    default: null
+  },
+  // Stamped inside every send's transaction so one person's concurrent sends
+  // conflict and are checked against the sending limits one at a time
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['user', 'manager', 'admin'],
+    default: 'user'
+  },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
   isVerified: {
     type: Boolean,
     default: false
   },
+  verificationToken: {
+    type: String,
+    default: null
+  },
+  verificationTokenExpires: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Base32 TOTP secret; never returned by default queries
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Secret generated by /2fa/setup, promoted to twoFactorSecret once confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
   profilePicture: {
     type: String,
     default: null
   },
+  // Opt-in to the monthly statement email
+  statementEmails: {
+    type: Boolean,
+    default: false
+  },
+  // Visibility given to the user's sends when they don't choose one; sends
+  // only reach the public feed once the user opts in
+  defaultVisibility: {
+    type: String,
+    enum: ['PUBLIC', 'PARTICIPANTS'],
+    default: 'PARTICIPANTS'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -54,11 +158,19 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// One-way hash for emailed tokens so a database leak doesn't expose usable links
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual naming the earned bucket, which is stored as tokenBalance
+userSchema.virtual('earnedBalance').get(function() {
+  return this.tokenBalance;
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -66,6 +178,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Record password changes so tokens issued before it can be rejected
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -77,19 +194,99 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to update token balance
-userSchema.methods.updateTokenBalance = async function(amount) {
-  this.tokenBalance += amount;
-  if (this.tokenBalance < 0) {
-    throw new Error('Insufficient token balance');
-  }
-  return await this.save();
+// Method to create an email verification token
+// Only the SHA-256 hash is stored; the raw token is returned to be emailed
+userSchema.methods.createVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInHours = Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.verificationToken = hashToken(token);
+  this.verificationTokenExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to find the user owning a valid (unexpired) verification token
+userSchema.statics.findByVerificationToken = async function(token) {
+  return await this.findOne({
+    verificationToken: hashToken(token),
+    verificationTokenExpires: { $gt: new Date() }
+  });
+};
+
+// Method to create a password reset token (hash stored, raw token returned)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Static method to find the user owning a valid (unexpired) password reset token
+userSchema.statics.findByPasswordResetToken = async function(token) {
+  return await this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Method to replace the 2FA recovery codes (hashes stored, raw codes returned once)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorRecoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Static method to consume a recovery code; returns true if it was valid and unused
+userSchema.statics.consumeRecoveryCode = async function(userId, code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  const hashedCode = hashToken(normalized);
+
+  // Atomic pull so the same code can't be used twice concurrently
+  const result = await this.updateOne(
+    { _id: userId, twoFactorRecoveryCodes: hashedCode },
+    { $pull: { twoFactorRecoveryCodes: hashedCode } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Static method to record an accepted TOTP time step; false if it (or a later one) was already used
+userSchema.statics.recordTwoFactorStep = async function(userId, step) {
+  const result = await this.updateOne(
+    { _id: userId, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Method to check whether the password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  // JWT iat has second precision
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// Method to check whether the user has one of the given roles
+userSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role);
 };
 
 // Method to get user profile (without password)
 userSchema.methods.getProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.verificationToken;
+  delete userObject.verificationTokenExpires;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorLastStep;
+  delete userObject.twoFactorRecoveryCodes;
   return userObject;
 };
 
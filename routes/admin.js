@@ -0,0 +1,1090 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AdminAction = require('../models/AdminAction');
+const LoginThrottle = require('../models/LoginThrottle');
+const TokenTransaction = require('../models/TokenTransaction');
+const PolicyFlag = require('../models/PolicyFlag');
+const CompanyValue = require('../models/CompanyValue');
+const Redemption = require('../models/Redemption');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const { LedgerError, balanceField, withTransaction, moveTokens, reconcile } = require('../utils/ledger');
+const { reverseTransaction } = require('../utils/reversals');
+const { normalizeTag } = require('../utils/tags');
+const { TRANSITIONS, transitionRedemption } = require('../utils/redemptions');
+const { EXPORT_FORMATS, parseDateRange, streamExport } = require('../utils/exports');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(auth, requireRole('admin'));
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Reject requests with validation errors
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const userIdParam = param('id').isMongoId().withMessage('Invalid user id');
+
+// @route   GET /api/admin/users
+// @desc    List users with optional search, role and status filters
+// @access  Admin
+router.get('/users', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { search, role, status } = req.query;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+    if (role) filter.role = role;
+    if (status === 'suspended') filter.isSuspended = true;
+    if (status === 'active') filter.isSuspended = false;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password -verificationToken -passwordResetToken')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a single user with recent admin actions
+// @access  Admin
+router.get('/users/:id', [userIdParam, handleValidation], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [actions, lockout] = await Promise.all([
+      AdminAction.find({ targetUser: user._id })
+        .populate('admin', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(20),
+      LoginThrottle.getAccountState(user.email)
+    ]);
+
+    res.json({
+      success: true,
+      user: user.getProfile(),
+      lockout,
+      actions
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a user and end all their sessions
+// @access  Admin
+router.post('/users/:id/suspend', [
+  userIdParam,
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be between 1 and 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    user.isSuspended = true;
+    user.suspendedAt = new Date();
+    user.suspensionReason = req.body.reason;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'LOGOUT_ALL');
+    await AdminAction.record(req, {
+      action: 'SUSPEND_USER',
+      targetUser: user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: `${user.fullName} has been suspended`,
+      user: user.getProfile()
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while suspending user'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/unsuspend
+// @desc    Lift a user's suspension
+// @access  Admin
+router.post('/users/:id/unsuspend', [
+  userIdParam,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    user.isSuspended = false;
+    user.suspendedAt = null;
+    user.suspensionReason = null;
+    await user.save();
+
+    await AdminAction.record(req, {
+      action: 'UNSUSPEND_USER',
+      targetUser: user._id,
+      reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: `${user.fullName} has been reactivated`,
+      user: user.getProfile()
+    });
+
+  } catch (error) {
+    console.error('Admin unsuspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reactivating user'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Clear a user's failed-login lockout
+// @access  Admin
+router.post('/users/:id/unlock', [userIdParam, handleValidation], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const lockout = await LoginThrottle.getAccountState(user.email);
+    if (!lockout) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has no failed login attempts to clear'
+      });
+    }
+
+    await LoginThrottle.clearAccount(user.email);
+    await AdminAction.record(req, {
+      action: 'CLEAR_LOCKOUT',
+      targetUser: user._id,
+      details: { key: lockout.key, failedCount: lockout.failedCount, lockedUntil: lockout.lockedUntil }
+    });
+
+    res.json({
+      success: true,
+      message: `Cleared login lockout for ${user.fullName}`
+    });
+
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing lockout'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put('/users/:id/role', [
+  userIdParam,
+  body('role').isIn(['user', 'manager', 'admin']).withMessage('Role must be user, manager or admin'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    await AdminAction.record(req, {
+      action: 'CHANGE_ROLE',
+      targetUser: user._id,
+      reason: req.body.reason || null,
+      details: { from: previousRole, to: user.role }
+    });
+
+    res.json({
+      success: true,
+      message: `${user.fullName} is now ${user.role}`,
+      user: user.getProfile()
+    });
+
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing role'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/balance
+// @desc    Credit or debit a user's token balance
+// @access  Admin
+router.post('/users/:id/balance', [
+  userIdParam,
+  body('amount').isInt().toInt().custom(value => value !== 0).withMessage('Amount must be a non-zero integer'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be between 1 and 500 characters'),
+  body('bucket').optional().toUpperCase().isIn(['GIVE', 'EARNED']).withMessage('Bucket must be GIVE or EARNED'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const { reason } = req.body;
+    const bucket = req.body.bucket || 'EARNED';
+    const field = balanceField(bucket);
+
+    const userId = new mongoose.Types.ObjectId(req.params.id);
+    const system = { system: 'ADJUSTMENTS' };
+
+    // Balance change, transaction record and audit entry commit together;
+    // a debit can never take the balance below zero
+    let result;
+    try {
+      result = await withTransaction(async (session) => {
+        const [transaction] = await TokenTransaction.create([{
+          sender: new mongoose.Types.ObjectId(req.user.userId),
+          recipient: userId,
+          amount,
+          message: `Balance adjustment: ${reason}`,
+          transactionType: 'ADJUSTMENT',
+          metadata: { reason, bucket }
+        }], { session });
+
+        const balances = await moveTokens(session, {
+          kind: 'ADJUSTMENT',
+          transactionId: transaction._id,
+          from: amount > 0 ? system : { user: userId, bucket },
+          to: amount > 0 ? { user: userId, bucket } : system,
+          amount: Math.abs(amount)
+        });
+        const user = balances.from || balances.to;
+
+        await AdminAction.record(req, {
+          action: 'ADJUST_BALANCE',
+          targetUser: user._id,
+          reason,
+          details: { amount, bucket, newBalance: user[field], transactionId: transaction._id }
+        }, session);
+
+        return { user, transaction };
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof LedgerError) {
+        return res.status(ledgerError.code === 'ACCOUNT_NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          message: ledgerError.code === 'INSUFFICIENT_BALANCE'
+            ? 'Adjustment would make the balance negative'
+            : ledgerError.message
+        });
+      }
+      throw ledgerError;
+    }
+
+    const { user, transaction } = result;
+
+    res.json({
+      success: true,
+      message: `Adjusted ${user.fullName}'s balance by ${amount} tokens`,
+      bucket,
+      newBalance: user[field],
+      transaction
+    });
+
+  } catch (error) {
+    console.error('Admin adjust balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adjusting balance'
+    });
+  }
+});
+
+const partyName = (party) => party && `${party.firstName} ${party.lastName}`;
+
+const TRANSACTION_EXPORT_COLUMNS = [
+  { header: 'Date', value: row => row.createdAt },
+  { header: 'Transaction ID', value: row => row._id },
+  { header: 'Type', value: row => row.transactionType },
+  { header: 'Status', value: row => row.status },
+  { header: 'Amount', value: row => row.amount },
+  { header: 'Funding Bucket', value: row => row.fundingBucket },
+  { header: 'Sender', value: row => partyName(row.sender) },
+  { header: 'Sender Email', value: row => row.sender && row.sender.email },
+  { header: 'Recipient', value: row => partyName(row.recipient) },
+  { header: 'Recipient Email', value: row => (row.recipient && row.recipient.email) || row.claimEmail },
+  { header: 'Message', value: row => row.message },
+  { header: 'Tags', value: row => row.tags },
+  { header: 'Batch ID', value: row => row.batchId },
+  { header: 'Reverses', value: row => row.reverses }
+];
+
+// @route   GET /api/admin/transactions/export
+// @desc    Download organization-wide transactions as CSV or JSON
+// @access  Admin
+router.get('/transactions/export', async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be ${EXPORT_FORMATS.join(' or ')}`
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const filter = {};
+    if (range.from || range.to) {
+      filter.createdAt = {};
+      if (range.from) filter.createdAt.$gte = range.from;
+      if (range.to) filter.createdAt.$lt = range.to;
+    }
+    if (req.query.type && req.query.type.toUpperCase() !== 'ALL') filter.transactionType = req.query.type.toUpperCase();
+    if (req.query.status) filter.status = req.query.status.toUpperCase();
+    if (mongoose.Types.ObjectId.isValid(req.query.user)) {
+      filter.$or = [{ sender: req.query.user }, { recipient: req.query.user }];
+    }
+
+    const rows = TokenTransaction.find(filter)
+      .select('-claimToken')
+      .populate('sender', 'firstName lastName email')
+      .populate('recipient', 'firstName lastName email')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    await streamExport(res, {
+      format,
+      filename: `transactions-${new Date().toISOString().slice(0, 10)}`,
+      columns: TRANSACTION_EXPORT_COLUMNS,
+      rows,
+      meta: () => ({ from: range.from, to: range.to })
+    });
+
+  } catch (error) {
+    console.error('Admin export transactions error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting transactions'
+    });
+  }
+});
+
+// @route   POST /api/admin/transactions/:id/reverse
+// @desc    Reverse a send or reward redemption with a compensating transaction
+// @access  Admin
+router.post('/transactions/:id/reverse', [
+  param('id').isMongoId().withMessage('Invalid transaction id'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be between 1 and 500 characters'),
+  body('amount').optional().isInt({ min: 1 }).toInt().withMessage('Amount must be at least 1'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const amount = req.body.amount === undefined ? undefined : Number(req.body.amount);
+
+    // A reward that was already delivered, or whose code was handed out, isn't back on the shelf
+    const linked = await Redemption.findOne({ transaction: req.params.id }).select('status codeRevealedAt');
+
+    let result;
+    try {
+      result = await reverseTransaction(req.params.id, {
+        amount,
+        reason,
+        restoreStock: !linked || (linked.status !== 'FULFILLED' && !linked.codeRevealedAt),
+        audit: async (session, { original, reversal, partial }) => {
+          await AdminAction.record(req, {
+            action: 'REVERSE_TRANSACTION',
+            targetUser: original.transactionType === 'SEND' ? original.recipient : original.sender,
+            reason,
+            details: {
+              transactionId: original._id,
+              reversalId: reversal._id,
+              amount: reversal.amount,
+              partial
+            }
+          }, session);
+
+          // Keep a reversed redemption's lifecycle in step with its tokens: a
+          // full refund closes it (cancelled if it was never delivered), a
+          // partial one is only noted so the rest can still be refunded
+          if (original.transactionType === 'REDEEM') {
+            const redemption = await Redemption.findOne({
+              transaction: original._id,
+              status: { $nin: ['CANCELLED', 'REFUNDED'] }
+            }).session(session);
+            if (redemption) {
+              const refundedAll = original.reversedAmount >= Math.abs(original.amount);
+              const status = !refundedAll
+                ? redemption.status
+                : redemption.status === 'FULFILLED' ? 'REFUNDED' : 'CANCELLED';
+              const note = refundedAll
+                ? reason
+                : `Partial refund of ${reversal.amount} tokens (${original.reversedAmount} of ${Math.abs(original.amount)} refunded): ${reason}`;
+              await Redemption.updateOne(
+                { _id: redemption._id, status: redemption.status },
+                {
+                  $set: { status },
+                  $push: { statusHistory: { status, at: new Date(), by: req.user.userId, note } }
+                },
+                { session }
+              );
+            }
+          }
+        }
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof LedgerError) {
+        const status = { NOT_FOUND: 404, NOT_REVERSIBLE: 409, INSUFFICIENT_BALANCE: 409 }[ledgerError.code] || 400;
+        return res.status(status).json({
+          success: false,
+          message: ledgerError.message
+        });
+      }
+      throw ledgerError;
+    }
+
+    const { original, reversal, partial } = result;
+
+    res.json({
+      success: true,
+      message: partial
+        ? `Partially reversed: ${reversal.amount} of ${Math.abs(original.amount)} tokens returned`
+        : `Reversed ${reversal.amount} tokens`,
+      partial,
+      original,
+      reversal
+    });
+
+  } catch (error) {
+    console.error('Admin reverse transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reversing transaction'
+    });
+  }
+});
+
+// @route   GET /api/admin/redemptions
+// @desc    List reward redemptions (status filter, oldest first)
+// @access  Admin
+router.get('/redemptions', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status.toUpperCase();
+    if (mongoose.Types.ObjectId.isValid(req.query.user)) filter.user = req.query.user;
+    if (mongoose.Types.ObjectId.isValid(req.query.reward)) filter.reward = req.query.reward;
+
+    const [redemptions, total] = await Promise.all([
+      Redemption.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('reward', 'name category stock isActive')
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .skip(skip),
+      Redemption.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      redemptions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRedemptions: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching redemptions'
+    });
+  }
+});
+
+// @route   POST /api/admin/redemptions/:id/status
+// @desc    Move a redemption through its lifecycle (APPROVED, FULFILLED, CANCELLED, REFUNDED)
+// @access  Admin
+router.post('/redemptions/:id/status', [
+  param('id').isMongoId().withMessage('Invalid redemption id'),
+  body('status').toUpperCase().isIn(Object.keys(TRANSITIONS)).withMessage(`Status must be one of ${Object.keys(TRANSITIONS).join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { status } = req.body;
+    const note = req.body.note || null;
+
+    let redemption;
+    try {
+      redemption = await transitionRedemption(req.params.id, {
+        status,
+        actorId: req.user.userId,
+        note,
+        audit: (session, updated) => AdminAction.record(req, {
+          action: 'UPDATE_REDEMPTION',
+          targetUser: updated.user,
+          reason: note,
+          details: { redemptionId: updated._id, status, rewardName: updated.rewardName }
+        }, session)
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof LedgerError) {
+        const statusCode = { NOT_FOUND: 404, INVALID_TRANSITION: 409, NOT_REVERSIBLE: 409 }[ledgerError.code] || 400;
+        return res.status(statusCode).json({
+          success: false,
+          message: ledgerError.message
+        });
+      }
+      throw ledgerError;
+    }
+
+    res.json({
+      success: true,
+      message: `Redemption of ${redemption.rewardName} is now ${redemption.status}`,
+      redemption
+    });
+
+  } catch (error) {
+    console.error('Admin update redemption error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating redemption'
+    });
+  }
+});
+
+// @route   GET /api/admin/flags
+// @desc    List sends flagged by the sending rules for review
+// @access  Admin
+router.get('/flags', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { status: (req.query.status || 'OPEN').toUpperCase() };
+    if (filter.status === 'ALL') delete filter.status;
+    if (mongoose.Types.ObjectId.isValid(req.query.sender)) filter.sender = req.query.sender;
+
+    const [flags, total] = await Promise.all([
+      PolicyFlag.find(filter)
+        .populate('sender', 'firstName lastName email')
+        .populate('recipient', 'firstName lastName email')
+        .populate('transaction', 'amount message status claimEmail createdAt')
+        .populate('reviewedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      PolicyFlag.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      flags,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalFlags: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list flags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching flags'
+    });
+  }
+});
+
+// @route   POST /api/admin/flags/:id/review
+// @desc    Resolve a flagged send: dismiss the flag or reverse the send
+// @access  Admin
+router.post('/flags/:id/review', [
+  param('id').isMongoId().withMessage('Invalid flag id'),
+  body('resolution').isIn(['DISMISS', 'REVERSE']).withMessage('Resolution must be DISMISS or REVERSE'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { resolution } = req.body;
+    const note = req.body.note || null;
+
+    const flag = await PolicyFlag.findById(req.params.id);
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flag not found'
+      });
+    }
+    if (flag.status !== 'OPEN') {
+      return res.status(409).json({
+        success: false,
+        message: `This flag has already been reviewed (${flag.status})`
+      });
+    }
+
+    // Close the flag only if it is still open, so two admins can't both resolve it
+    const close = (status, session) => PolicyFlag.findOneAndUpdate(
+      { _id: flag._id, status: 'OPEN' },
+      { $set: { status, reviewedBy: req.user._id, reviewedAt: new Date(), reviewNote: note } },
+      { new: true, session }
+    );
+    const audit = (session, details) => AdminAction.record(req, {
+      action: 'REVIEW_FLAG',
+      targetUser: flag.sender,
+      reason: note,
+      details: { flagId: flag._id, transactionId: flag.transaction, resolution, ...details }
+    }, session);
+
+    if (resolution === 'DISMISS') {
+      const reviewed = await withTransaction(async (session) => {
+        const closed = await close('DISMISSED', session);
+        if (closed) await audit(session, {});
+        return closed;
+      });
+      if (!reviewed) {
+        return res.status(409).json({
+          success: false,
+          message: 'This flag has already been reviewed'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Flag dismissed',
+        flag: reviewed
+      });
+    }
+
+    let reviewed;
+    let result;
+    try {
+      result = await reverseTransaction(flag.transaction, {
+        reason: note || 'Reversed after review of a flagged send',
+        audit: async (session, { reversal, partial }) => {
+          reviewed = await close('REVERSED', session);
+          if (!reviewed) {
+            throw new LedgerError('NOT_REVERSIBLE', 'This flag has already been reviewed');
+          }
+          await audit(session, { reversalId: reversal._id, amount: reversal.amount, partial });
+        }
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof LedgerError) {
+        const status = { NOT_FOUND: 404, NOT_REVERSIBLE: 409, INSUFFICIENT_BALANCE: 409 }[ledgerError.code] || 400;
+        return res.status(status).json({
+          success: false,
+          message: ledgerError.message
+        });
+      }
+      throw ledgerError;
+    }
+
+    const { original, reversal, partial } = result;
+
+    res.json({
+      success: true,
+      message: partial
+        ? `Flag resolved; partially reversed ${reversal.amount} of ${Math.abs(original.amount)} tokens`
+        : `Flag resolved; reversed ${reversal.amount} tokens`,
+      partial,
+      flag: reviewed,
+      reversal
+    });
+
+  } catch (error) {
+    console.error('Admin review flag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing flag'
+    });
+  }
+});
+
+const valueIdParam = param('id').isMongoId().withMessage('Invalid value id');
+
+// @route   POST /api/admin/values
+// @desc    Define a company value that thank-yous can be tagged with
+// @access  Admin
+router.post('/values', [
+  body('tag').trim().customSanitizer(normalizeTag).matches(/^[a-z][a-z0-9_-]{0,49}$/)
+    .withMessage('Tag must start with a letter and contain only letters, digits, - and _'),
+  body('label').trim().isLength({ min: 1, max: 100 }).withMessage('Label must be between 1 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { tag, label, description } = req.body;
+
+    if (await CompanyValue.exists({ tag })) {
+      return res.status(409).json({
+        success: false,
+        message: `#${tag} is already a company value`
+      });
+    }
+
+    const value = await CompanyValue.create({ tag, label, description });
+
+    await AdminAction.record(req, {
+      action: 'CREATE_VALUE',
+      details: { valueId: value._id, tag }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `#${tag} added`,
+      value
+    });
+
+  } catch (error) {
+    console.error('Admin create value error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating value'
+    });
+  }
+});
+
+// @route   PUT /api/admin/values/:id
+// @desc    Update a company value's label, description or active flag
+// @access  Admin
+router.put('/values/:id', [
+  valueIdParam,
+  body('label').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Label must be between 1 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('isActive').optional().isBoolean().toBoolean().withMessage('isActive must be true or false'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const updateFields = {};
+    for (const field of ['label', 'description', 'isActive']) {
+      if (req.body[field] !== undefined) updateFields[field] = req.body[field];
+    }
+
+    const value = await CompanyValue.findByIdAndUpdate(req.params.id, updateFields, { new: true, runValidators: true });
+    if (!value) {
+      return res.status(404).json({
+        success: false,
+        message: 'Value not found'
+      });
+    }
+
+    await AdminAction.record(req, {
+      action: 'UPDATE_VALUE',
+      details: { valueId: value._id, tag: value.tag, changes: updateFields }
+    });
+
+    res.json({
+      success: true,
+      message: `#${value.tag} updated`,
+      value
+    });
+
+  } catch (error) {
+    console.error('Admin update value error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating value'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/values/:id
+// @desc    Remove a company value (transactions keep their tags)
+// @access  Admin
+router.delete('/values/:id', [
+  valueIdParam,
+  handleValidation
+], async (req, res) => {
+  try {
+    const value = await CompanyValue.findByIdAndDelete(req.params.id);
+    if (!value) {
+      return res.status(404).json({
+        success: false,
+        message: 'Value not found'
+      });
+    }
+
+    await AdminAction.record(req, {
+      action: 'DELETE_VALUE',
+      details: { valueId: value._id, tag: value.tag }
+    });
+
+    res.json({
+      success: true,
+      message: `#${value.tag} removed`
+    });
+
+  } catch (error) {
+    console.error('Admin delete value error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting value'
+    });
+  }
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    List accounts and IPs with failed logins or active lockouts
+// @access  Admin
+router.get('/lockouts', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.kind) filter.kind = req.query.kind.toUpperCase();
+    if (req.query.locked === 'true') filter.lockedUntil = { $gt: new Date() };
+
+    const lockouts = await LoginThrottle.find(filter)
+      .sort({ lockedUntil: -1, lastFailedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+
+    res.json({
+      success: true,
+      lockouts
+    });
+
+  } catch (error) {
+    console.error('Admin list lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lockouts'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/:id
+// @desc    Clear an account or IP lockout
+// @access  Admin
+router.delete('/lockouts/:id', [
+  param('id').isMongoId().withMessage('Invalid lockout id'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const lockout = await LoginThrottle.findByIdAndDelete(req.params.id);
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    const targetUser = lockout.kind === 'ACCOUNT'
+      ? await User.findOne({ email: lockout.key.replace(/^account:/, '') }).select('_id')
+      : null;
+
+    await AdminAction.record(req, {
+      action: 'CLEAR_LOCKOUT',
+      targetUser: targetUser ? targetUser._id : null,
+      details: { key: lockout.key, failedCount: lockout.failedCount, lockedUntil: lockout.lockedUntil }
+    });
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared'
+    });
+
+  } catch (error) {
+    console.error('Admin clear lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing lockout'
+    });
+  }
+});
+
+// @route   GET /api/admin/ledger/reconcile
+// @desc    Recompute balances from the ledger and report drift
+// @access  Admin
+router.get('/ledger/reconcile', async (req, res) => {
+  try {
+    const report = await reconcile();
+
+    res.json({
+      success: true,
+      balanced: report.drift.length === 0 && report.unbalancedJournals.length === 0,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Admin reconcile ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reconciling ledger'
+    });
+  }
+});
+
+// @route   GET /api/admin/actions
+// @desc    List recorded admin actions
+// @access  Admin
+router.get('/actions', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.action) filter.action = req.query.action.toUpperCase();
+    if (mongoose.Types.ObjectId.isValid(req.query.targetUser)) filter.targetUser = req.query.targetUser;
+    if (mongoose.Types.ObjectId.isValid(req.query.admin)) filter.admin = req.query.admin;
+
+    const [actions, total] = await Promise.all([
+      AdminAction.find(filter)
+        .populate('admin', 'firstName lastName email')
+        .populate('targetUser', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      AdminAction.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      actions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalActions: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list actions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching admin actions'
+    });
+  }
+});
+
+module.exports = router;
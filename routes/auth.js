@@ -2,17 +2,100 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const TokenTransaction = require('../models/TokenTransaction');
 const auth = require('../middleware/auth');
+const { isVerificationRequired } = require('../middleware/requireVerified');
+const { sendEmail, emailTemplates } = require('../utils/email');
+const totp = require('../utils/totp');
+const { withTransaction, postEntries } = require('../utils/ledger');
+const { creditPendingClaims } = require('../utils/claims');
+const { getAllowance, currentPeriod } = require('../utils/allowance');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
+// Start a new session and return an access/refresh token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.issue(user._id, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Generate the short-lived token returned by the password step of a 2FA login
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa-challenge' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+// Check a TOTP code and mark its time step used; returns false on mismatch or replay
+const verifyTwoFactorCode = async (userId, secret, code) => {
+  const step = totp.verifyCode(secret, code);
+  if (step === null) return false;
+  return await User.recordTwoFactorStep(userId, step);
+};
+
+// Reply 429 when the account or IP is throttled; returns true if the response was sent
+const rejectIfThrottled = async (req, res, email) => {
+  const throttle = await LoginThrottle.check({ email, ip: req.ip });
+  if (throttle.allowed) return false;
+
+  res.set('Retry-After', String(throttle.retryAfter));
+  res.status(429).json({
+    success: false,
+    code: throttle.locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    message: throttle.locked
+      ? 'Too many failed attempts. Sign-in is temporarily locked'
+      : 'Too many failed attempts. Please wait before trying again',
+    retryAfter: throttle.retryAfter
+  });
+  return true;
+};
+
+// Count a failed sign-in and email the owner when it locks their account
+const recordFailedLogin = async (req, email, user) => {
+  const { accountLocked, lockedUntil } = await LoginThrottle.registerFailure({ email, ip: req.ip });
+  if (!accountLocked || !user) return;
+
+  const template = emailTemplates.accountLocked({
+    firstName: user.firstName,
+    lockedUntil: lockedUntil.toUTCString(),
+    ip: req.ip
+  });
+
+  try {
+    await sendEmail({ to: user.email, ...template });
+  } catch (emailError) {
+    console.error('Account locked email failed:', emailError);
+  }
+};
+
+// Email a fresh verification link to the user
+const sendVerificationEmail = async (user, token) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').trim();
+  const template = emailTemplates.verifyEmail({
+    firstName: user.firstName,
+    verifyUrl: `${frontendUrl}/verify-email?token=${token}`,
+    expiresInHours: Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+  });
+
+  return await sendEmail({ to: user.email, ...template });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -20,7 +103,8 @@ router.post('/register', [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
   body('firstName').trim().notEmpty().withMessage('First name is required'),
-  body('lastName').trim().notEmpty().withMessage('Last name is required')
+  body('lastName').trim().notEmpty().withMessage('Last name is required'),
+  body('claimToken').optional().isString().withMessage('Invalid claim token')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -33,7 +117,7 @@ router.post('/register', [
       });
     }
 
-    const { email, password, firstName, lastName } = req.body;
+    const { email, password, firstName, lastName, claimToken } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email }).maxTimeMS(30000); // 30 second timeout
@@ -44,25 +128,65 @@ router.post('/register', [
       });
     }
 
-    // Create new user
+    // Create new user with this month's giving allowance; the earned balance starts empty
     const user = new User({
       email,
       password,
       firstName,
       lastName,
-      tokenBalance: 500 // Initial tokens for new users
+      giveBalance: getAllowance(),
+      giveAllowancePeriod: currentPeriod()
     });
 
-    await user.save();
+    // Arriving through a claim link for this address proves the inbox is theirs
+    const claim = claimToken ? await TokenTransaction.findByClaimToken(claimToken) : null;
+    if (claim && claim.claimEmail === email) {
+      user.isVerified = true;
+    }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    const verificationToken = user.isVerified ? null : user.createVerificationToken();
+
+    // Create the account and record its first allowance in the ledger together
+    await withTransaction(async (session) => {
+      await user.save({ session });
+      if (user.giveBalance > 0) {
+        await postEntries(session, {
+          kind: 'ALLOWANCE_GRANT',
+          legs: [
+            { system: 'ALLOWANCE', direction: 'DEBIT', amount: user.giveBalance },
+            { user: user._id, bucket: 'GIVE', direction: 'CREDIT', amount: user.giveBalance }
+          ]
+        });
+      }
+    });
+
+    // Send verification email (registration succeeds even if email fails)
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (emailError) {
+        console.error('Verification email failed:', emailError);
+      }
+    }
+
+    // Tokens sent to this address before it registered; unverified
+    // addresses have to confirm they own the inbox first
+    const claimed = user.isVerified || !isVerificationRequired()
+      ? await creditPendingClaims(user)
+      : { count: 0, amount: 0 };
+    const profile = user.getProfile();
+    if (claimed.count) profile.tokenBalance = claimed.tokenBalance;
+
+    // Generate JWT and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
-      user: user.getProfile()
+      refreshToken,
+      claimedTokens: claimed.amount,
+      user: profile
     });
 
   } catch (error) {
@@ -94,9 +218,13 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Per-account and per-IP lockout, independent of the global rate limiter
+    if (await rejectIfThrottled(req, res, email)) return;
+
     // Find user by email with timeout handling
     const user = await User.findOne({ email }).maxTimeMS(30000); // 30 second timeout
     if (!user) {
+      await recordFailedLogin(req, email, null);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -106,23 +234,46 @@ router.post('/login', [
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordFailedLogin(req, email, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'Your account has been suspended'
+      });
+    }
+
+    // With 2FA on, the password step only yields a challenge for /2fa/login
+    // (failures are still counted until the second step succeeds)
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    await LoginThrottle.clearAccount(user.email);
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Generate JWT and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.getProfile()
     });
 
@@ -135,6 +286,611 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/2fa/login
+// @desc    Complete a 2FA login with a TOTP or recovery code
+// @access  Public
+router.post('/2fa/login', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('A 2FA code or recovery code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== '2fa-challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select('+twoFactorSecret');
+    if (!user || !user.twoFactorEnabled || user.isSuspended) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    // Guessing 2FA codes counts towards the same lockout as passwords
+    if (await rejectIfThrottled(req, res, user.email)) return;
+
+    const isCodeValid = code
+      ? await verifyTwoFactorCode(user._id, user.twoFactorSecret, code)
+      : await User.consumeRecoveryCode(user._id, recoveryCode);
+
+    if (!isCodeValid) {
+      await recordFailedLogin(req, user.email, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await LoginThrottle.clearAccount(user.email);
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Generate JWT and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.getProfile()
+    });
+
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and return a new TOTP secret
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: secret });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl(secret, user.email)
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm 2FA enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/verify', [
+  auth,
+  body('code').isString().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+twoFactorPendingSecret');
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const isCodeValid = await verifyTwoFactorCode(user._id, user.twoFactorPendingSecret, req.body.code);
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a TOTP or recovery code)
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('A 2FA code or recovery code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+twoFactorSecret');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const isCodeValid = code
+      ? await verifyTwoFactorCode(user._id, user.twoFactorSecret, code)
+      : await User.consumeRecoveryCode(user._id, recoveryCode);
+
+    if (!isCodeValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// Shared handler for GET and POST /api/auth/verify
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.query.token || req.body.token;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const user = await User.findByVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    // Tokens are single-use
+    user.isVerified = true;
+    user.verificationToken = null;
+    user.verificationTokenExpires = null;
+    await user.save();
+
+    // Credit any tokens that were sent to this address before it was confirmed
+    const claimed = await creditPendingClaims(user);
+    const profile = user.getProfile();
+    if (claimed.count) profile.tokenBalance = claimed.tokenBalance;
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      claimedTokens: claimed.amount,
+      user: profile
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+};
+
+// @route   GET /api/auth/verify
+// @desc    Verify email address from the emailed link
+// @access  Public
+router.get('/verify', verifyEmail);
+
+// @route   POST /api/auth/verify
+// @desc    Verify email address with a token in the body
+// @access  Public
+router.post('/verify', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = {
+      success: true,
+      message: 'If an unverified account exists for this email, a new verification link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || user.isVerified) {
+      return res.json(genericResponse);
+    }
+
+    // Issuing a new token invalidates the previous one
+    const verificationToken = user.createVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Always respond the same way so the endpoint can't be used to probe for accounts
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').trim();
+    const template = emailTemplates.passwordReset({
+      firstName: user.firstName,
+      resetUrl: `${frontendUrl}/reset-password?token=${resetToken}`,
+      expiresInMinutes: Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60
+    });
+
+    try {
+      await sendEmail({ to: user.email, ...template });
+    } catch (emailError) {
+      console.error('Password reset email failed:', emailError);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Hashed by the pre('save') hook, which also stamps passwordChangedAt
+    // so every previously issued JWT stops working
+    user.password = password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user._id, 'PASSWORD_RESET');
+
+    // A reset link only proves access to the mailbox, so 2FA users still
+    // have to complete the second step through /2fa/login
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Password has been reset successfully. Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    const { token: accessToken, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully',
+      token: accessToken,
+      refreshToken,
+      user: user.getProfile()
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session, refreshToken, error } = await Session.rotate(req.body.refreshToken, { ip: req.ip });
+
+    if (error === 'REUSE_DETECTED') {
+      console.warn('Refresh token reuse detected, session revoked');
+      return res.status(401).json({
+        success: false,
+        code: 'REFRESH_TOKEN_REUSED',
+        message: 'Refresh token was already used, please log in again'
+      });
+    }
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is not valid'
+      });
+    }
+
+    // Check if user still exists
+    const user = await User.findById(session.user);
+    if (!user) {
+      await session.revoke('LOGOUT');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is not valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: generateToken(user._id, session._id),
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sessionId);
+    if (session) {
+      await session.revoke('LOGOUT');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'LOGOUT_ALL');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedSessions: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.user.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -168,7 +924,10 @@ router.get('/me', auth, async (req, res) => {
 router.put('/profile', [
   auth,
   body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
-  body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty')
+  body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+  body('defaultVisibility').optional().toUpperCase().isIn(['PUBLIC', 'PARTICIPANTS'])
+    .withMessage('Default visibility must be PUBLIC or PARTICIPANTS'),
+  body('statementEmails').optional().isBoolean().toBoolean().withMessage('statementEmails must be true or false')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -181,12 +940,14 @@ router.put('/profile', [
       });
     }
 
-    const { firstName, lastName, profilePicture } = req.body;
+    const { firstName, lastName, profilePicture, defaultVisibility, statementEmails } = req.body;
     const updateFields = {};
 
     if (firstName) updateFields.firstName = firstName;
     if (lastName) updateFields.lastName = lastName;
     if (profilePicture !== undefined) updateFields.profilePicture = profilePicture;
+    if (defaultVisibility) updateFields.defaultVisibility = defaultVisibility;
+    if (statementEmails !== undefined) updateFields.statementEmails = statementEmails;
 
     const user = await User.findByIdAndUpdate(
       req.user.userId,
@@ -0,0 +1,58 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const TokenTransaction = require('../models/TokenTransaction');
+const auth = require('../middleware/auth');
+const { withInteractionCounts } = require('../utils/social');
+const { normalizeTag } = require('../utils/tags');
+
+const router = express.Router();
+
+// @route   GET /api/feed
+// @desc    Get the gratitude wall of recent public thank-yous
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Optionally only show thank-yous a user sent or received
+    let userId = null;
+    if (req.query.user) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user id'
+        });
+      }
+      userId = req.query.user;
+    }
+    const filters = { userId, tag: req.query.tag ? normalizeTag(req.query.tag) : null };
+
+    const [transactions, total] = await Promise.all([
+      TokenTransaction.getRecentTransactions(limit, skip, filters),
+      TokenTransaction.countDocuments(TokenTransaction.publicFeedFilter(filters))
+    ]);
+
+    res.json({
+      success: true,
+      feed: await withInteractionCounts(transactions, req.user.userId),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalTransactions: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,328 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const TokenTransaction = require('../models/TokenTransaction');
+const Reaction = require('../models/Reaction');
+const Comment = require('../models/Comment');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const { getReactionEmoji, canInteract, getInteractionCounts, buildThreads } = require('../utils/social');
+
+// Mounted at /api/tokens/transactions
+const router = express.Router();
+
+// Load the SEND at :id if the caller may see it, or reply 404 (private sends
+// look the same as missing ones to outsiders)
+const findVisibleTransaction = async (req, res) => {
+  const transaction = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await TokenTransaction.findById(req.params.id)
+    : null;
+
+  if (!transaction || !canInteract(transaction, req.user.userId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+    return null;
+  }
+  return transaction;
+};
+
+// Load a comment at :commentId on the given transaction, or reply 404
+const findComment = async (req, res, transaction) => {
+  const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+    ? await Comment.findOne({ _id: req.params.commentId, transaction: transaction._id, deletedAt: null })
+    : null;
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+  return comment;
+};
+
+// @route   GET /api/tokens/transactions/:id/reactions
+// @desc    List reactions to a send
+// @access  Private
+router.get('/:id/reactions', auth, async (req, res) => {
+  try {
+    const transaction = await findVisibleTransaction(req, res);
+    if (!transaction) return;
+
+    const [reactions, counts] = await Promise.all([
+      Reaction.find({ transaction: transaction._id })
+        .populate('user', 'firstName lastName profilePicture')
+        .sort({ createdAt: 1 }),
+      getInteractionCounts([transaction._id], req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      reactions,
+      interactions: counts.get(transaction._id.toString())
+    });
+
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reactions'
+    });
+  }
+});
+
+// @route   POST /api/tokens/transactions/:id/reactions
+// @desc    React to a send with an emoji
+// @access  Private
+router.post('/:id/reactions', [
+  auth,
+  requireVerified,
+  body('emoji').trim().custom(value => getReactionEmoji().includes(value))
+    .withMessage(`Emoji must be one of ${getReactionEmoji().join(' ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await findVisibleTransaction(req, res);
+    if (!transaction) return;
+
+    // Reacting twice with the same emoji is a no-op
+    await Reaction.updateOne(
+      { transaction: transaction._id, user: req.user.userId, emoji: req.body.emoji },
+      { $setOnInsert: { transaction: transaction._id, user: req.user.userId, emoji: req.body.emoji } },
+      { upsert: true }
+    );
+    const counts = await getInteractionCounts([transaction._id], req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reaction added',
+      interactions: counts.get(transaction._id.toString())
+    });
+
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding reaction'
+    });
+  }
+});
+
+// @route   DELETE /api/tokens/transactions/:id/reactions/:emoji
+// @desc    Remove the caller's reaction
+// @access  Private
+router.delete('/:id/reactions/:emoji', auth, async (req, res) => {
+  try {
+    const transaction = await findVisibleTransaction(req, res);
+    if (!transaction) return;
+
+    const removed = await Reaction.findOneAndDelete({
+      transaction: transaction._id,
+      user: req.user.userId,
+      emoji: req.params.emoji
+    });
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reaction not found'
+      });
+    }
+    const counts = await getInteractionCounts([transaction._id], req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Reaction removed',
+      interactions: counts.get(transaction._id.toString())
+    });
+
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing reaction'
+    });
+  }
+});
+
+// @route   GET /api/tokens/transactions/:id/comments
+// @desc    Get the comment threads on a send
+// @access  Private
+router.get('/:id/comments', auth, async (req, res) => {
+  try {
+    const transaction = await findVisibleTransaction(req, res);
+    if (!transaction) return;
+
+    const comments = await Comment.find({ transaction: transaction._id })
+      .populate('author', 'firstName lastName profilePicture')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      commentCount: comments.filter(comment => !comment.deletedAt).length,
+      comments: buildThreads(comments)
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments'
+    });
+  }
+});
+
+// @route   POST /api/tokens/transactions/:id/comments
+// @desc    Comment on a send, or reply to a comment with parentId
+// @access  Private
+router.post('/:id/comments', [
+  auth,
+  requireVerified,
+  body('body').trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be between 1 and 1000 characters'),
+  body('parentId').optional().isMongoId().withMessage('Invalid parent comment id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await findVisibleTransaction(req, res);
+    if (!transaction) return;
+
+    const { parentId } = req.body;
+    if (parentId) {
+      const parent = await Comment.exists({ _id: parentId, transaction: transaction._id, deletedAt: null });
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+    }
+
+    const comment = await Comment.create({
+      transaction: transaction._id,
+      author: req.user.userId,
+      parent: parentId || null,
+      body: req.body.body
+    });
+    await comment.populate('author', 'firstName lastName profilePicture');
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment posted',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Post comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while posting comment'
+    });
+  }
+});
+
+// @route   PUT /api/tokens/transactions/:id/comments/:commentId
+// @desc    Edit one of the caller's comments
+// @access  Private
+router.put('/:id/comments/:commentId', [
+  auth,
+  body('body').trim().isLength({ min: 1, max: 1000 }).withMessage('Comment must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await findVisibleTransaction(req, res);
+    if (!transaction) return;
+
+    const comment = await findComment(req, res, transaction);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: 'Comment updated',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while editing comment'
+    });
+  }
+});
+
+// @route   DELETE /api/tokens/transactions/:id/comments/:commentId
+// @desc    Delete a comment (its author or an admin); replies stay in the thread
+// @access  Private
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const transaction = await findVisibleTransaction(req, res);
+    if (!transaction) return;
+
+    const comment = await findComment(req, res, transaction);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.user.userId && !req.currentUser.hasRole('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    comment.body = '';
+    comment.deletedAt = new Date();
+    await comment.save();
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const crypto = require('crypto');
+const { jobs, runJob } = require('../utils/jobs');
+
+const router = express.Router();
+
+// Compare the bearer token with CRON_SECRET in constant time
+const isAuthorizedCron = (req) => {
+  const secret = process.env.CRON_SECRET;
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!secret || !token) return false;
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// @route   GET /api/jobs/:name
+// @desc    Run a background job (for schedulers such as Vercel Cron)
+// @access  Cron (Authorization: Bearer CRON_SECRET)
+router.get('/:name', async (req, res) => {
+  try {
+    if (!isAuthorizedCron(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to run jobs'
+      });
+    }
+
+    if (!jobs[req.params.name]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const result = await runJob(req.params.name);
+
+    res.json({
+      success: true,
+      job: req.params.name,
+      result
+    });
+
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running job'
+    });
+  }
+});
+
+module.exports = router;
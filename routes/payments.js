@@ -0,0 +1,109 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TokenTransaction = require('../models/TokenTransaction');
+const auth = require('../middleware/auth');
+const { getProvider, isFakeProviderEnabled, processPaymentEvent } = require('../utils/payments');
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive payment outcome notifications from a provider
+// @access  Public (signature verified)
+router.post('/webhook/:provider', async (req, res) => {
+  let provider;
+  let event;
+  try {
+    provider = getProvider(req.params.provider);
+    event = provider.verifyWebhook(req.rawBody || '', req.headers);
+  } catch (error) {
+    console.error('Payment webhook rejected:', error.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook'
+    });
+  }
+
+  try {
+    const result = await processPaymentEvent(provider.name, event);
+    console.log(`💳 Payment webhook ${event.type}: ${result.outcome}`);
+
+    // Acknowledge every verified event so the provider stops retrying
+    res.json({
+      success: true,
+      outcome: result.outcome
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing webhook'
+    });
+  }
+});
+
+// @route   POST /api/payments/fake/complete
+// @desc    Simulate the fake provider settling a purchase (only while the fake provider is enabled)
+// @access  Private
+router.post('/fake/complete', [
+  auth,
+  body('transactionId').isMongoId().withMessage('Invalid transaction id'),
+  body('outcome').isIn(['succeeded', 'failed']).withMessage('Outcome must be succeeded or failed')
+], async (req, res) => {
+  try {
+    if (!isFakeProviderEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purchase = await TokenTransaction.findOne({
+      _id: req.body.transactionId,
+      recipient: req.user.userId,
+      transactionType: 'PURCHASE',
+      'metadata.provider': 'fake'
+    });
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
+      });
+    }
+
+    // Go through the same signed-webhook path a real provider would use
+    const fakeProvider = getProvider('fake');
+    const { rawBody, headers } = fakeProvider.buildWebhook({
+      type: req.body.outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+      providerPaymentId: purchase.metadata.providerPaymentId,
+      failureReason: req.body.outcome === 'failed' ? 'Card declined (simulated)' : null
+    });
+    const event = fakeProvider.verifyWebhook(rawBody, headers);
+    const result = await processPaymentEvent(fakeProvider.name, event);
+
+    res.json({
+      success: true,
+      outcome: result.outcome,
+      transaction: result.transaction
+    });
+
+  } catch (error) {
+    console.error('Fake payment completion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while simulating payment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,387 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Pot = require('../models/Pot');
+const TokenTransaction = require('../models/TokenTransaction');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const idempotency = require('../middleware/idempotency');
+const { LedgerError, balanceField, withTransaction, moveTokens } = require('../utils/ledger');
+const { cancelPot, releasePot } = require('../utils/pots');
+const { canSendFromEarned } = require('../utils/allowance');
+const { SendPolicyError, enforceSendPolicy, rejectPolicyViolations, flagForReview } = require('../utils/sendPolicy');
+
+const router = express.Router();
+
+// A deadline must be in the future and within POT_MAX_DAYS (default 90)
+const isValidDeadline = (value) => {
+  const deadline = new Date(value).getTime();
+  const maxDays = Number(process.env.POT_MAX_DAYS) || 90;
+  return deadline > Date.now() && deadline <= Date.now() + maxDays * 24 * 60 * 60 * 1000;
+};
+
+// Load a pot by :id, or reply 404
+const findPot = async (req, res) => {
+  const pot = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Pot.findById(req.params.id)
+    : null;
+
+  if (!pot) {
+    res.status(404).json({
+      success: false,
+      message: 'Pot not found'
+    });
+  }
+  return pot;
+};
+
+// Only the pot's creator or an admin may close or cancel it; replies 403 otherwise
+const rejectUnlessManager = (req, res, pot) => {
+  if (pot.creator.toString() === req.user.userId || req.currentUser.hasRole('admin')) {
+    return false;
+  }
+  res.status(403).json({
+    success: false,
+    message: 'Only the pot creator can do this'
+  });
+  return true;
+};
+
+// @route   GET /api/pots
+// @desc    List pots (open ones by default)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const status = (req.query.status || 'OPEN').toUpperCase();
+
+    const filter = status === 'ALL' ? {} : { status };
+    if (req.query.recipient && mongoose.Types.ObjectId.isValid(req.query.recipient)) {
+      filter.recipient = req.query.recipient;
+    }
+
+    const [pots, total] = await Promise.all([
+      Pot.find(filter)
+        .populate('creator', 'firstName lastName')
+        .populate('recipient', 'firstName lastName profilePicture')
+        .sort({ deadline: 1 })
+        .limit(limit)
+        .skip(skip),
+      Pot.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      pots,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get pots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching pots'
+    });
+  }
+});
+
+// @route   POST /api/pots
+// @desc    Create a pot for a recipient
+// @access  Private
+router.post('/', [
+  auth,
+  requireVerified,
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be between 1 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('recipientEmail').isEmail().normalizeEmail().withMessage('Please enter a valid recipient email'),
+  body('deadline').isISO8601().custom(isValidDeadline)
+    .withMessage('Deadline must be a future date within the allowed window')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, recipientEmail, deadline } = req.body;
+
+    const recipient = await User.findOne({ email: recipientEmail });
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipient not found'
+      });
+    }
+
+    if (recipient._id.toString() === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot create a pot for yourself'
+      });
+    }
+
+    const pot = await Pot.create({
+      title,
+      description,
+      creator: req.user.userId,
+      recipient: recipient._id,
+      deadline: new Date(deadline)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Pot for ${recipient.fullName} created`,
+      pot
+    });
+
+  } catch (error) {
+    console.error('Create pot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating pot'
+    });
+  }
+});
+
+// @route   GET /api/pots/:id
+// @desc    Get a pot with its contributors and running total
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const pot = await findPot(req, res);
+    if (!pot) return;
+
+    await pot.populate([
+      { path: 'creator', select: 'firstName lastName' },
+      { path: 'recipient', select: 'firstName lastName profilePicture' }
+    ]);
+
+    const pledges = await TokenTransaction.find({ pot: pot._id })
+      .select('sender amount message status createdAt')
+      .populate('sender', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      pot,
+      contributorCount: new Set(pledges.map(pledge => pledge.sender && pledge.sender._id.toString())).size,
+      pledges
+    });
+
+  } catch (error) {
+    console.error('Get pot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching pot'
+    });
+  }
+});
+
+// @route   POST /api/pots/:id/pledges
+// @desc    Pledge tokens to an open pot (held in escrow until it is released)
+// @access  Private
+router.post('/:id/pledges', [
+  auth,
+  requireVerified,
+  idempotency,
+  body('amount').isInt({ min: 1 }).toInt().withMessage('Amount must be at least 1'),
+  body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters'),
+  body('bucket').optional().toUpperCase().isIn(['GIVE', 'EARNED']).withMessage('Bucket must be GIVE or EARNED')
+    .bail()
+    .custom(bucket => bucket !== 'EARNED' || canSendFromEarned())
+    .withMessage('Pledging from your earned balance is not enabled')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pot = await findPot(req, res);
+    if (!pot) return;
+
+    const amount = Number(req.body.amount);
+    const { message } = req.body;
+    const bucket = req.body.bucket || 'GIVE';
+
+    if (pot.recipient.toString() === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot pledge to a pot for yourself'
+      });
+    }
+
+    let result;
+    try {
+      result = await withTransaction(async (session) => {
+        // Updating the totals also claims the pot, so a pledge can't land after it closes
+        const updated = await Pot.findOneAndUpdate(
+          { _id: pot._id, status: 'OPEN', deadline: { $gt: new Date() } },
+          { $inc: { totalPledged: amount, pledgeCount: 1 } },
+          { new: true, session }
+        );
+        if (!updated) {
+          throw new LedgerError('POT_CLOSED', 'This pot is no longer accepting pledges');
+        }
+
+        // A pledge is a send to the pot's recipient, so the sending limits apply
+        const violations = await enforceSendPolicy(session, { senderId: req.user.userId, recipientId: pot.recipient, amount });
+
+        const [pledge] = await TokenTransaction.create([{
+          sender: req.user.userId,
+          recipient: pot.recipient,
+          amount,
+          message,
+          transactionType: 'SEND',
+          status: 'PENDING',
+          fundingBucket: bucket,
+          pot: pot._id
+        }], { session });
+
+        const balances = await moveTokens(session, {
+          kind: 'ESCROW_HOLD',
+          transactionId: pledge._id,
+          from: { user: req.user.userId, bucket },
+          to: { system: 'ESCROW' },
+          amount
+        });
+        const flag = await flagForReview(session, pledge, violations);
+        return { pot: updated, pledge, newBalance: balances.from[balanceField(bucket)], flagged: Boolean(flag) };
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof SendPolicyError) {
+        rejectPolicyViolations(res, ledgerError.violations);
+        return;
+      }
+      if (ledgerError instanceof LedgerError && ledgerError.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient token balance'
+        });
+      }
+      if (ledgerError instanceof LedgerError && ledgerError.code === 'POT_CLOSED') {
+        return res.status(409).json({
+          success: false,
+          message: ledgerError.message
+        });
+      }
+      throw ledgerError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Pledged ${amount} tokens to "${pot.title}"`,
+      ...(result.flagged && { flaggedForReview: true }),
+      bucket,
+      newBalance: result.newBalance,
+      totalPledged: result.pot.totalPledged,
+      pledge: result.pledge
+    });
+
+  } catch (error) {
+    console.error('Pledge to pot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pledging to pot'
+    });
+  }
+});
+
+// @route   POST /api/pots/:id/close
+// @desc    Release an open pot to its recipient now
+// @access  Private (creator or admin)
+router.post('/:id/close', auth, async (req, res) => {
+  try {
+    const pot = await findPot(req, res);
+    if (!pot) return;
+    if (rejectUnlessManager(req, res, pot)) return;
+
+    const outcome = await releasePot(pot._id);
+    if (outcome === 'SKIPPED') {
+      return res.status(409).json({
+        success: false,
+        message: 'Pot is not open'
+      });
+    }
+
+    res.json({
+      success: outcome === 'RELEASED',
+      message: outcome === 'RELEASED'
+        ? 'Pot released to the recipient'
+        : 'The recipient no longer exists; all pledges were refunded',
+      pot: await Pot.findById(pot._id)
+    });
+
+  } catch (error) {
+    console.error('Close pot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing pot'
+    });
+  }
+});
+
+// @route   POST /api/pots/:id/cancel
+// @desc    Cancel an open pot and refund every pledge
+// @access  Private (creator or admin)
+router.post('/:id/cancel', [
+  auth,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pot = await findPot(req, res);
+    if (!pot) return;
+    if (rejectUnlessManager(req, res, pot)) return;
+
+    const cancelled = await cancelPot(pot._id, req.body.reason);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Pot is not open'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pot cancelled and all pledges refunded',
+      pot: cancelled
+    });
+
+  } catch (error) {
+    console.error('Cancel pot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling pot'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const RecurringSend = require('../models/RecurringSend');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const { parseCron, nextOccurrence, minimumInterval } = require('../utils/cron');
+const { resolveTags, rejectUnknownTags } = require('../utils/tags');
+const { evaluateSendPolicy, rejectPolicyViolations } = require('../utils/sendPolicy');
+
+// Mounted at /api/tokens/recurring
+const router = express.Router();
+
+// Turn the cadence options into a cron rule (UTC); throws on an invalid custom rule
+const buildCronRule = ({ cadence, dayOfWeek, dayOfMonth, time, cronRule }) => {
+  if (cadence === 'CUSTOM') {
+    parseCron(cronRule);
+    return cronRule.trim();
+  }
+
+  const [hour, minute] = (time || '09:00').split(':').map(Number);
+  if (cadence === 'WEEKLY') {
+    return `${minute} ${hour} * * ${dayOfWeek}`;
+  }
+  return `${minute} ${hour} ${dayOfMonth} * *`;
+};
+
+// Custom rules may not fire more often than RECURRING_MIN_INTERVAL_HOURS (default 24)
+const isFrequencyAllowed = (cronRule) => {
+  const minHours = Number(process.env.RECURRING_MIN_INTERVAL_HOURS) || 24;
+  return minimumInterval(cronRule) >= minHours * 60 * 60 * 1000;
+};
+
+// Load one of the caller's recurring sends, or reply 404
+const findOwnRecurringSend = async (req, res) => {
+  const recurring = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await RecurringSend.findOne({ _id: req.params.id, owner: req.user.userId })
+    : null;
+
+  if (!recurring) {
+    res.status(404).json({
+      success: false,
+      message: 'Recurring send not found'
+    });
+  }
+  return recurring;
+};
+
+// @route   GET /api/tokens/recurring
+// @desc    List the user's recurring sends
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const recurringSends = await RecurringSend.find({ owner: req.user.userId })
+      .populate('recipient', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      recurringSends
+    });
+
+  } catch (error) {
+    console.error('Get recurring sends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recurring sends'
+    });
+  }
+});
+
+// @route   POST /api/tokens/recurring
+// @desc    Create a recurring send
+// @access  Private
+router.post('/', [
+  auth,
+  requireVerified,
+  body('recipientEmail').isEmail().normalizeEmail().withMessage('Please enter a valid recipient email'),
+  body('amount').isInt({ min: 1 }).toInt().withMessage('Amount must be at least 1'),
+  body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters'),
+  body('cadence').toUpperCase().isIn(['WEEKLY', 'MONTHLY', 'CUSTOM']).withMessage('Cadence must be WEEKLY, MONTHLY or CUSTOM'),
+  body('dayOfWeek').if(body('cadence').equals('WEEKLY'))
+    .isInt({ min: 0, max: 6 }).toInt().withMessage('dayOfWeek must be 0 (Sunday) to 6 (Saturday)'),
+  body('dayOfMonth').if(body('cadence').equals('MONTHLY'))
+    .isInt({ min: 1, max: 28 }).toInt().withMessage('dayOfMonth must be between 1 and 28'),
+  body('time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('time must be HH:MM (UTC)'),
+  body('cronRule').if(body('cadence').equals('CUSTOM'))
+    .isString().notEmpty().withMessage('cronRule is required for a CUSTOM cadence')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { recipientEmail, message, cadence } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (rejectUnknownTags(res, await resolveTags(message))) return;
+
+    let cronRule;
+    try {
+      cronRule = buildCronRule(req.body);
+    } catch (cronError) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid cron rule: ${cronError.message}`
+      });
+    }
+
+    if (cadence === 'CUSTOM' && !isFrequencyAllowed(cronRule)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Custom schedules cannot run more often than the minimum interval'
+      });
+    }
+
+    const nextRunAt = nextOccurrence(cronRule);
+    if (!nextRunAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This schedule never runs'
+      });
+    }
+
+    const recipient = await User.findOne({ email: recipientEmail });
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipient not found'
+      });
+    }
+
+    if (recipient._id.toString() === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot send tokens to yourself'
+      });
+    }
+
+    // Refuse schedules the sending limits would block; every run is checked again
+    const violations = await evaluateSendPolicy({
+      senderId: req.user.userId,
+      recipientId: recipient._id,
+      amount,
+      ignoreCooldown: true
+    });
+    if (rejectPolicyViolations(res, violations)) return;
+
+    const recurringSend = await RecurringSend.create({
+      owner: req.user.userId,
+      recipient: recipient._id,
+      amount,
+      messageTemplate: message,
+      cadence,
+      cronRule,
+      nextRunAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Recurring send to ${recipient.fullName} created`,
+      recurringSend
+    });
+
+  } catch (error) {
+    console.error('Create recurring send error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating recurring send'
+    });
+  }
+});
+
+// @route   POST /api/tokens/recurring/:id/pause
+// @desc    Pause a recurring send
+// @access  Private
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const recurringSend = await findOwnRecurringSend(req, res);
+    if (!recurringSend) return;
+
+    if (recurringSend.status === 'PAUSED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring send is already paused'
+      });
+    }
+
+    recurringSend.status = 'PAUSED';
+    recurringSend.nextRunAt = null;
+    await recurringSend.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring send paused',
+      recurringSend
+    });
+
+  } catch (error) {
+    console.error('Pause recurring send error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pausing recurring send'
+    });
+  }
+});
+
+// @route   POST /api/tokens/recurring/:id/resume
+// @desc    Resume a paused recurring send from the next scheduled time
+// @access  Private
+router.post('/:id/resume', auth, requireVerified, async (req, res) => {
+  try {
+    const recurringSend = await findOwnRecurringSend(req, res);
+    if (!recurringSend) return;
+
+    if (recurringSend.status === 'ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring send is already active'
+      });
+    }
+
+    recurringSend.status = 'ACTIVE';
+    recurringSend.nextRunAt = nextOccurrence(recurringSend.cronRule);
+    await recurringSend.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring send resumed',
+      recurringSend
+    });
+
+  } catch (error) {
+    console.error('Resume recurring send error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resuming recurring send'
+    });
+  }
+});
+
+// @route   DELETE /api/tokens/recurring/:id
+// @desc    Delete a recurring send (past transactions are kept)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const recurringSend = await findOwnRecurringSend(req, res);
+    if (!recurringSend) return;
+
+    await recurringSend.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Recurring send deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete recurring send error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting recurring send'
+    });
+  }
+});
+
+module.exports = router;
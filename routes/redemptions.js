@@ -0,0 +1,153 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Redemption = require('../models/Redemption');
+const auth = require('../middleware/auth');
+const { LedgerError } = require('../utils/ledger');
+const { transitionRedemption } = require('../utils/redemptions');
+
+const router = express.Router();
+
+// Load one of the caller's redemptions, or reply 404
+const findOwnRedemption = async (req, res) => {
+  const redemption = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Redemption.findOne({ _id: req.params.id, user: req.user.userId })
+    : null;
+
+  if (!redemption) {
+    res.status(404).json({
+      success: false,
+      message: 'Redemption not found'
+    });
+  }
+  return redemption;
+};
+
+// @route   GET /api/redemptions
+// @desc    List the user's redemptions
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.userId };
+    if (req.query.status) filter.status = req.query.status.toUpperCase();
+
+    const [redemptions, total] = await Promise.all([
+      Redemption.find(filter)
+        .populate('reward', 'name imageUrl category')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Redemption.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      redemptions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRedemptions: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching redemptions'
+    });
+  }
+});
+
+// @route   GET /api/redemptions/:id
+// @desc    Get one of the user's redemptions with its status history
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const redemption = await findOwnRedemption(req, res);
+    if (!redemption) return;
+
+    await redemption.populate('reward', 'name description imageUrl category terms');
+
+    res.json({
+      success: true,
+      redemption
+    });
+
+  } catch (error) {
+    console.error('Get redemption error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching redemption'
+    });
+  }
+});
+
+// @route   POST /api/redemptions/:id/cancel
+// @desc    Cancel a redemption that hasn't been approved yet; tokens and stock are returned
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await findOwnRedemption(req, res);
+    if (!existing) return;
+
+    // Once approved (and the code revealed), only an admin can cancel
+    if (existing.status !== 'REQUESTED' || existing.codeRevealedAt) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${existing.status} redemption can no longer be cancelled`
+      });
+    }
+
+    let redemption;
+    try {
+      redemption = await transitionRedemption(existing._id, {
+        status: 'CANCELLED',
+        actorId: req.user.userId,
+        note: req.body.reason || 'Cancelled by user'
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof LedgerError) {
+        return res.status(409).json({
+          success: false,
+          message: ledgerError.message
+        });
+      }
+      throw ledgerError;
+    }
+
+    res.json({
+      success: true,
+      message: `Redemption of ${redemption.rewardName} cancelled; ${redemption.tokenCost} tokens returned`,
+      redemption
+    });
+
+  } catch (error) {
+    console.error('Cancel redemption error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling redemption'
+    });
+  }
+});
+
+module.exports = router;
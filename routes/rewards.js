@@ -1,18 +1,86 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Reward = require('../models/Reward');
+const AdminAction = require('../models/AdminAction');
+const Redemption = require('../models/Redemption');
 const TokenTransaction = require('../models/TokenTransaction');
 const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const idempotency = require('../middleware/idempotency');
+const { LedgerError, withTransaction, moveTokens } = require('../utils/ledger');
+const { notifyRedemption } = require('../utils/redemptions');
 
 const router = express.Router();
 
+const REWARD_CATEGORIES = ['FOOD', 'ENTERTAINMENT', 'SHOPPING', 'EXPERIENCE', 'OTHER'];
+
+// Validation matching the Reward schema. With `partial` every field is
+// optional (PATCH); otherwise name, description and tokenCost are required.
+// Stock is set on creation only; later changes go through /:id/stock.
+const rewardRules = ({ partial = false, withStock = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Reward name must be between 1 and 100 characters'),
+    field('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters'),
+    field('tokenCost').isInt({ min: 1 }).toInt().withMessage('Token cost must be at least 1'),
+    body('category').optional().toUpperCase().isIn(REWARD_CATEGORIES)
+      .withMessage(`Category must be one of ${REWARD_CATEGORIES.join(', ')}`),
+    body('imageUrl').optional({ nullable: true }).isURL().withMessage('Image URL must be a valid URL'),
+    body('isActive').optional().isBoolean().toBoolean().withMessage('isActive must be true or false'),
+    body('redemptionCode').optional({ nullable: true }).trim().isLength({ max: 100 })
+      .withMessage('Redemption code cannot exceed 100 characters'),
+    body('terms').optional().trim().isLength({ max: 1000 }).withMessage('Terms cannot exceed 1000 characters'),
+    ...(withStock
+      ? [body('stock').optional().isInt({ min: -1 }).toInt().withMessage('Stock must be -1 (unlimited) or more')]
+      : [body('stock').not().exists().withMessage('Change stock through POST /api/rewards/:id/stock')])
+  ];
+};
+
+const REWARD_FIELDS = ['name', 'description', 'tokenCost', 'category', 'imageUrl', 'isActive', 'redemptionCode', 'terms'];
+
+// Pick the reward fields present in the request body
+const rewardFields = (req) => {
+  const fields = {};
+  for (const field of REWARD_FIELDS) {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  }
+  return fields;
+};
+
+// Load a reward by :id, or reply 404
+const findReward = async (req, res) => {
+  const reward = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Reward.findById(req.params.id)
+    : null;
+
+  if (!reward) {
+    res.status(404).json({
+      success: false,
+      message: 'Reward not found'
+    });
+  }
+  return reward;
+};
+
+// Listing inactive rewards is for admins only; everyone else gets the public catalog
+const adminForInactive = (req, res, next) => {
+  if (req.query.includeInactive !== 'true') return next();
+  auth(req, res, () => requireRole('admin')(req, res, next));
+};
+
 // @route   GET /api/rewards
-// @desc    Get all available rewards
+// @desc    Get all available rewards (admins: ?includeInactive=true for the whole catalog)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', adminForInactive, async (req, res) => {
   try {
-    const rewards = await Reward.find({ isActive: true }).sort({ tokenCost: 1 });
+    const asAdmin = req.query.includeInactive === 'true';
+    // Redemption codes are only revealed once a reward is redeemed
+    const rewards = await Reward.find(asAdmin ? {} : { isActive: true })
+      .select(asAdmin ? '' : '-redemptionCode')
+      .sort({ tokenCost: 1 });
     
     res.json({
       success: true,
@@ -33,7 +101,7 @@ router.get('/', async (req, res) => {
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
-    const reward = await Reward.findById(req.params.id);
+    const reward = await Reward.findById(req.params.id).select('-redemptionCode');
     
     if (!reward) {
       return res.status(404).json({
@@ -56,10 +124,215 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   POST /api/rewards
+// @desc    Add a reward to the catalog
+// @access  Admin
+router.post('/', [
+  auth,
+  requireRole('admin'),
+  ...rewardRules({ withStock: true })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reward = await Reward.create({
+      ...rewardFields(req),
+      ...(req.body.stock !== undefined && { stock: req.body.stock })
+    });
+
+    await AdminAction.record(req, {
+      action: 'CREATE_REWARD',
+      details: { rewardId: reward._id, name: reward.name, tokenCost: reward.tokenCost, stock: reward.stock }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${reward.name} added to the catalog`,
+      reward
+    });
+
+  } catch (error) {
+    console.error('Create reward error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating reward'
+    });
+  }
+});
+
+// Shared by PUT (name, description and tokenCost required) and PATCH (any subset)
+const updateReward = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reward = await findReward(req, res);
+    if (!reward) return;
+
+    const changes = rewardFields(req);
+    const before = Object.fromEntries(Object.keys(changes).map(field => [field, reward[field]]));
+    reward.set(changes);
+    await reward.save();
+
+    await AdminAction.record(req, {
+      action: 'UPDATE_REWARD',
+      details: { rewardId: reward._id, before, after: changes }
+    });
+
+    res.json({
+      success: true,
+      message: `${reward.name} updated`,
+      reward
+    });
+
+  } catch (error) {
+    console.error('Update reward error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating reward'
+    });
+  }
+};
+
+// @route   PUT /api/rewards/:id
+// @desc    Update a reward's details, requiring every mandatory field (stock is unchanged)
+// @access  Admin
+router.put('/:id', [auth, requireRole('admin'), ...rewardRules()], updateReward);
+
+// @route   PATCH /api/rewards/:id
+// @desc    Update some of a reward's details (stock is unchanged)
+// @access  Admin
+router.patch('/:id', [auth, requireRole('admin'), ...rewardRules({ partial: true })], updateReward);
+
+// @route   DELETE /api/rewards/:id
+// @desc    Deactivate a reward; it stays in the catalog for history and can be reactivated
+// @access  Admin
+router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const reward = await findReward(req, res);
+    if (!reward) return;
+
+    if (!reward.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'This reward is already inactive'
+      });
+    }
+
+    reward.isActive = false;
+    await reward.save();
+
+    await AdminAction.record(req, {
+      action: 'DEACTIVATE_REWARD',
+      details: { rewardId: reward._id, name: reward.name }
+    });
+
+    res.json({
+      success: true,
+      message: `${reward.name} deactivated`,
+      reward
+    });
+
+  } catch (error) {
+    console.error('Deactivate reward error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating reward'
+    });
+  }
+});
+
+// @route   POST /api/rewards/:id/stock
+// @desc    Adjust a reward's stock by `delta`, or set it with `stock` (-1 for unlimited)
+// @access  Admin
+router.post('/:id/stock', [
+  auth,
+  requireRole('admin'),
+  body('delta').optional().isInt().toInt().custom(value => value !== 0).withMessage('Delta must be a non-zero whole number'),
+  body('stock').optional().isInt({ min: -1 }).toInt().withMessage('Stock must be -1 (unlimited) or more'),
+  body().custom(value => (value.delta === undefined) !== (value.stock === undefined))
+    .withMessage('Give either a delta or a stock level'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be between 1 and 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { delta, stock, reason } = req.body;
+    const reward = await findReward(req, res);
+    if (!reward) return;
+
+    let updated;
+    if (stock !== undefined) {
+      updated = await Reward.findByIdAndUpdate(reward._id, { $set: { stock } }, { new: true });
+    } else {
+      if (reward.stock === -1) {
+        return res.status(400).json({
+          success: false,
+          message: 'This reward has unlimited stock; set a stock level instead'
+        });
+      }
+      // Conditional so a concurrent redemption can't push stock below zero
+      updated = await Reward.findOneAndUpdate(
+        { _id: reward._id, stock: { $ne: -1, $gte: Math.max(-delta, 0) } },
+        { $inc: { stock: delta } },
+        { new: true }
+      );
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Not enough stock to remove that many'
+        });
+      }
+    }
+
+    await AdminAction.record(req, {
+      action: 'ADJUST_STOCK',
+      reason,
+      details: { rewardId: reward._id, before: reward.stock, after: updated.stock, delta: delta === undefined ? null : delta }
+    });
+
+    res.json({
+      success: true,
+      message: `Stock for ${updated.name} is now ${updated.stock === -1 ? 'unlimited' : updated.stock}`,
+      reward: updated
+    });
+
+  } catch (error) {
+    console.error('Adjust reward stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adjusting stock'
+    });
+  }
+});
+
 // @route   POST /api/rewards/:id/redeem
 // @desc    Redeem a reward
 // @access  Private
-router.post('/:id/redeem', auth, async (req, res) => {
+router.post('/:id/redeem', auth, requireVerified, idempotency, async (req, res) => {
   try {
     const userId = req.user.userId;
     const rewardId = req.params.id;
@@ -106,34 +379,70 @@ router.post('/:id/redeem', auth, async (req, res) => {
       });
     }
 
-    // Update user's token balance
-    await user.updateTokenBalance(-reward.tokenCost);
-
-    // Update reward stock if applicable
-    await reward.redeem();
-
-    // Create transaction record
-    const transaction = new TokenTransaction({
-      sender: userId,
-      recipient: userId, // Self-transaction for redemption
-      amount: -reward.tokenCost,
-      message: `Redeemed: ${reward.name}`,
-      transactionType: 'REDEEM',
-      metadata: {
-        rewardId: reward._id,
-        rewardName: reward.name,
-        redemptionCode: reward.redemptionCode
+    // Charge the user, take stock and record the transaction and redemption atomically
+    let transaction;
+    let redemption;
+    try {
+      transaction = await withTransaction(async (session) => {
+        // Update reward stock if applicable
+        const inStock = await reward.redeem(session);
+        if (!inStock) {
+          throw new LedgerError('OUT_OF_STOCK', 'This reward is out of stock');
+        }
+
+        // Create transaction record
+        const [created] = await TokenTransaction.create([{
+          sender: userId,
+          recipient: userId, // Self-transaction for redemption
+          amount: -reward.tokenCost,
+          message: `Redeemed: ${reward.name}`,
+          transactionType: 'REDEEM',
+          metadata: {
+            rewardId: reward._id,
+            rewardName: reward.name
+          }
+        }], { session });
+
+        // Update user's token balance
+        const balances = await moveTokens(session, {
+          kind: 'REDEEM',
+          transactionId: created._id,
+          from: { user: user._id },
+          to: { system: 'REDEMPTIONS' },
+          amount: reward.tokenCost
+        });
+        user.tokenBalance = balances.from.tokenBalance;
+
+        [redemption] = await Redemption.create([{
+          user: userId,
+          reward: reward._id,
+          transaction: created._id,
+          rewardName: reward.name,
+          tokenCost: reward.tokenCost,
+          statusHistory: [{ status: 'REQUESTED', by: userId }]
+        }], { session });
+
+        return created;
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof LedgerError && ['INSUFFICIENT_BALANCE', 'OUT_OF_STOCK'].includes(ledgerError.code)) {
+        return res.status(400).json({
+          success: false,
+          message: ledgerError.message
+        });
       }
-    });
+      throw ledgerError;
+    }
 
-    await transaction.save();
+    // The redemption code is only revealed once an admin approves the redemption
+    await notifyRedemption(redemption, user);
 
     res.json({
       success: true,
       message: `Successfully redeemed ${reward.name}`,
       newBalance: user.tokenBalance,
-      redemptionCode: reward.redemptionCode,
-      transaction: transaction
+      transaction: transaction,
+      redemption
     });
 
   } catch (error) {
@@ -163,7 +472,9 @@ router.get('/categories/:category', async (req, res) => {
     const rewards = await Reward.find({
       category: category.toUpperCase(),
       isActive: true
-    }).sort({ tokenCost: 1 });
+    })
+    .select('-redemptionCode')
+    .sort({ tokenCost: 1 });
 
     res.json({
       success: true,
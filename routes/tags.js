@@ -0,0 +1,94 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const CompanyValue = require('../models/CompanyValue');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/auth');
+const { normalizeTag, getTagCounts } = require('../utils/tags');
+
+const router = express.Router();
+
+// @route   GET /api/tags
+// @desc    List the company values thank-yous can be tagged with
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const values = await CompanyValue.find(filter).sort({ tag: 1 });
+
+    res.json({
+      success: true,
+      // With no values defined, any hashtag is accepted
+      restricted: values.some(value => value.isActive),
+      values
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+});
+
+// @route   GET /api/tags/stats
+// @desc    Tag counts per period or per user
+// @access  Manager, Admin
+router.get('/stats', auth, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const groupBy = (req.query.groupBy || 'period').toLowerCase();
+    const period = (req.query.period || 'month').toLowerCase();
+    const side = (req.query.side || 'recipient').toLowerCase();
+
+    if (!['period', 'user'].includes(groupBy) ||
+        !['day', 'week', 'month', 'year'].includes(period) ||
+        !['recipient', 'sender'].includes(side)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be period or user, period day, week, month or year, and side recipient or sender'
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    if (req.query.user && !mongoose.Types.ObjectId.isValid(req.query.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const counts = await getTagCounts({
+      groupBy,
+      period,
+      side,
+      from,
+      to,
+      tag: req.query.tag ? normalizeTag(req.query.tag) : null,
+      userId: req.query.user ? new mongoose.Types.ObjectId(req.query.user) : null
+    });
+
+    res.json({
+      success: true,
+      groupBy,
+      ...(groupBy === 'period' ? { period } : { side }),
+      counts
+    });
+
+  } catch (error) {
+    console.error('Get tag stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tag stats'
+    });
+  }
+});
+
+module.exports = router;
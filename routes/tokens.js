@@ -1,21 +1,86 @@
 const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const TokenTransaction = require('../models/TokenTransaction');
 const auth = require('../middleware/auth');
-const { sendEmail } = require('../utils/email');
+const requireVerified = require('../middleware/requireVerified');
+const idempotency = require('../middleware/idempotency');
+const { notifyRecipient } = require('../utils/transfers');
+const { getProvider, getPricing } = require('../utils/payments');
+const { LedgerError, balanceField, withTransaction, moveTokens } = require('../utils/ledger');
+const { createClaimableSend } = require('../utils/claims');
+const { getAllowance, canSendFromEarned, nextResetAt } = require('../utils/allowance');
+const { SendPolicyError, evaluateSendPolicy, enforceSendPolicy, rejectPolicyViolations, flagForReview } = require('../utils/sendPolicy');
+const { withInteractionCounts } = require('../utils/social');
+const { normalizeTag, resolveTags, rejectUnknownTags } = require('../utils/tags');
+const { userActivity, ledgerCoverage } = require('../utils/activity');
+const { EXPORT_FORMATS, parseDateRange, streamExport } = require('../utils/exports');
+const { parseSearchTerms, buildSnippet } = require('../utils/search');
+const { StatementUnavailableError, PERIOD_PATTERN, isClosedPeriod, generateStatement, renderStatementPage } = require('../utils/statements');
+const Statement = require('../models/Statement');
+const LedgerEntry = require('../models/LedgerEntry');
+const recurringRoutes = require('./recurring');
+const interactionRoutes = require('./interactions');
 
 const router = express.Router();
 
+router.use('/recurring', recurringRoutes);
+router.use('/transactions', interactionRoutes);
+
+// Sends are paid from the GIVE allowance; the EARNED balance only when enabled
+const fundingBucketRule = body('bucket').optional().toUpperCase().isIn(['GIVE', 'EARNED'])
+  .withMessage('Bucket must be GIVE or EARNED')
+  .bail()
+  .custom(bucket => bucket !== 'EARNED' || canSendFromEarned())
+  .withMessage('Sending from your earned balance is not enabled');
+
+// PUBLIC sends appear on the gratitude wall; without a choice the sender's default applies
+const visibilityRule = body('visibility').optional().toUpperCase().isIn(['PUBLIC', 'PARTICIPANTS'])
+  .withMessage('Visibility must be PUBLIC or PARTICIPANTS');
+
+const MAX_BATCH_RECIPIENTS = Number(process.env.BATCH_SEND_MAX_RECIPIENTS) || 50;
+
+// Per-recipient amounts for a batch: either every entry has its own amount, or
+// totalAmount is split evenly with any remainder going to the first recipients.
+// Returns null when the request mixes the two or the total can't cover everyone.
+const splitBatchAmounts = (entries, totalAmount) => {
+  const withAmount = entries.filter(entry => entry.amount !== undefined).length;
+
+  if (totalAmount === undefined) {
+    return withAmount === entries.length ? entries.map(entry => Number(entry.amount)) : null;
+  }
+  if (withAmount > 0 || totalAmount < entries.length) {
+    return null;
+  }
+
+  const share = Math.floor(totalAmount / entries.length);
+  const remainder = totalAmount % entries.length;
+  return entries.map((entry, index) => share + (index < remainder ? 1 : 0));
+};
+
+// A sendAt must be in the future and within SCHEDULED_SEND_MAX_DAYS (default 365)
+const isValidSendAt = (value) => {
+  const sendAt = new Date(value).getTime();
+  const maxDays = Number(process.env.SCHEDULED_SEND_MAX_DAYS) || 365;
+  return sendAt > Date.now() && sendAt <= Date.now() + maxDays * 24 * 60 * 60 * 1000;
+};
 
 // @route   POST /api/tokens/send
-// @desc    Send tokens to another user
+// @desc    Send tokens to another user, or to an unregistered email as a claimable send
 // @access  Private
 router.post('/send', [
   auth,
+  requireVerified,
+  idempotency,
   body('recipientEmail').isEmail().normalizeEmail().withMessage('Please enter a valid recipient email'),
   body('amount').isInt({ min: 1 }).toInt().withMessage('Amount must be at least 1'),
-  body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters')
+  body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters'),
+  body('sendAt').optional({ checkFalsy: true }).isISO8601().custom(isValidSendAt)
+    .withMessage('sendAt must be a future date within the scheduling window'),
+  fundingBucketRule,
+  visibilityRule
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -31,6 +96,14 @@ router.post('/send', [
     const { recipientEmail, message } = req.body;
     const amount = Number(req.body.amount);
     const senderId = req.user.userId;
+    const scheduledFor = req.body.sendAt ? new Date(req.body.sendAt) : null;
+    const bucket = req.body.bucket || 'GIVE';
+    const field = balanceField(bucket);
+
+    // Hashtags in the message must be company values, once any are defined
+    const tagging = await resolveTags(message);
+    if (rejectUnknownTags(res, tagging)) return;
+    const { tags } = tagging;
 
     // Check if sender has enough tokens
     const sender = await User.findById(senderId);
@@ -40,8 +113,9 @@ router.post('/send', [
         message: 'Sender not found'
       });
     }
+    const visibility = req.body.visibility || sender.defaultVisibility;
 
-    if (sender.tokenBalance < amount) {
+    if (sender[field] < amount) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient token balance'
@@ -50,13 +124,47 @@ router.post('/send', [
 
     // Find recipient
     const recipient = await User.findOne({ email: recipientEmail });
-    if (!recipient) {
+    if (!recipient && scheduledFor) {
       return res.status(404).json({
         success: false,
         message: 'Recipient not found'
       });
     }
 
+    // Unregistered addresses get a claim link; the tokens wait in escrow
+    if (!recipient) {
+      const violations = await evaluateSendPolicy({ senderId, amount });
+      if (rejectPolicyViolations(res, violations)) return;
+
+      let claimable;
+      try {
+        claimable = await createClaimableSend(sender, { email: recipientEmail, amount, message, tags, bucket, visibility });
+      } catch (ledgerError) {
+        if (ledgerError instanceof SendPolicyError) {
+          rejectPolicyViolations(res, ledgerError.violations);
+          return;
+        }
+        if (ledgerError instanceof LedgerError && ledgerError.code === 'INSUFFICIENT_BALANCE') {
+          return res.status(400).json({
+            success: false,
+            message: 'Insufficient token balance'
+          });
+        }
+        throw ledgerError;
+      }
+
+      const { claimToken, ...transaction } = claimable.transaction.toObject();
+      return res.status(201).json({
+        success: true,
+        message: `${recipientEmail} isn't registered yet; we've emailed them a link to claim ${amount} tokens`,
+        claimable: true,
+        ...(claimable.flagged && { flaggedForReview: true }),
+        bucket,
+        newBalance: claimable.newBalance,
+        transaction
+      });
+    }
+
     // Prevent sending to self
     if (senderId === recipient._id.toString()) {
       return res.status(400).json({
@@ -65,54 +173,93 @@ router.post('/send', [
       });
     }
 
-    // Update token balances
-    await sender.updateTokenBalance(-amount);
-    await recipient.updateTokenBalance(amount);
+    // Sending limits and anti-collusion rules
+    const violations = await evaluateSendPolicy({ senderId, recipientId: recipient._id, amount });
+    if (rejectPolicyViolations(res, violations)) return;
 
-    // Create transaction record
-    const transaction = new TokenTransaction({
-      sender: senderId,
-      recipient: recipient._id,
-      amount: amount,
-      message: message,
-      transactionType: 'SEND'
-    });
+    // Move the tokens and record the transaction atomically; the balance and
+    // policy checks are repeated inside the transaction so concurrent sends
+    // can't overspend or overshoot the limits
+    let transaction;
+    let flag = null;
+    try {
+      transaction = await withTransaction(async (session) => {
+        const checked = await enforceSendPolicy(session, { senderId, recipientId: recipient._id, amount });
 
-    await transaction.save();
+        const [created] = await TokenTransaction.create([{
+          sender: senderId,
+          recipient: recipient._id,
+          amount: amount,
+          message: message,
+          transactionType: 'SEND',
+          status: scheduledFor ? 'PENDING' : 'COMPLETED',
+          fundingBucket: bucket,
+          tags,
+          visibility,
+          scheduledFor
+        }], { session });
+        flag = await flagForReview(session, created, checked);
 
-    // Send email notification to recipient
-    try {
-      await sendEmail({
-        to: recipient.email,
-        subject: 'You received tokens of gratitude! 🎉',
-        html: `
-          <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
-            <div style="text-align: center; margin-bottom: 30px;">
-              <h1 style="margin: 0; font-size: 28px; font-weight: 600;">🎉 You received ${amount} tokens!</h1>
-            </div>
-            
-            <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
-              <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>From:</strong> ${sender.fullName}</p>
-              <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Message:</strong> "${message}"</p>
-              <p style="margin: 0; font-size: 16px;"><strong>Your new balance:</strong> ${recipient.tokenBalance} tokens</p>
-            </div>
-            
-            <div style="text-align: center; margin-top: 30px;">
-              <p style="margin: 0; font-size: 14px; opacity: 0.9;">Thank you for spreading kindness! 💜</p>
-              <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks - Gratitude, Made Effortless</p>
-            </div>
-          </div>
-        `
-      });
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Don't fail the transaction if email fails
+        // Scheduled sends reserve the tokens in escrow until the worker delivers them
+        if (scheduledFor) {
+          const balances = await moveTokens(session, {
+            kind: 'ESCROW_HOLD',
+            transactionId: created._id,
+            from: { user: sender._id, bucket },
+            to: { system: 'ESCROW' },
+            amount
+          });
+          sender[field] = balances.from[field];
+          return created;
+        }
+
+        // Received tokens always land in the recipient's earned balance
+        const balances = await moveTokens(session, {
+          kind: 'SEND',
+          transactionId: created._id,
+          from: { user: sender._id, bucket },
+          to: { user: recipient._id, bucket: 'EARNED' },
+          amount
+        });
+        sender[field] = balances.from[field];
+        recipient.tokenBalance = balances.to.tokenBalance;
+
+        return created;
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof SendPolicyError) {
+        rejectPolicyViolations(res, ledgerError.violations);
+        return;
+      }
+      if (ledgerError instanceof LedgerError && ledgerError.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient token balance'
+        });
+      }
+      throw ledgerError;
     }
 
+    if (scheduledFor) {
+      return res.status(201).json({
+        success: true,
+        message: `Scheduled ${amount} tokens to ${recipient.fullName} for ${scheduledFor.toISOString()}`,
+        ...(flag && { flaggedForReview: true }),
+        bucket,
+        newBalance: sender[field],
+        transaction: transaction
+      });
+    }
+
+    // Send email notification to recipient (a failure doesn't undo the transfer)
+    await notifyRecipient({ sender, recipient, amount, message });
+
     res.json({
       success: true,
       message: `Successfully sent ${amount} tokens to ${recipient.fullName}`,
-      newBalance: sender.tokenBalance,
+      ...(flag && { flaggedForReview: true }),
+      bucket,
+      newBalance: sender[field],
       transaction: transaction
     });
 
@@ -125,6 +272,584 @@ router.post('/send', [
   }
 });
 
+// @route   POST /api/tokens/send-batch
+// @desc    Send tokens to several users at once (all or nothing)
+// @access  Private
+router.post('/send-batch', [
+  auth,
+  requireVerified,
+  idempotency,
+  body('recipients').isArray({ min: 1, max: MAX_BATCH_RECIPIENTS })
+    .withMessage(`Recipients must be a list of 1 to ${MAX_BATCH_RECIPIENTS} entries`),
+  body('recipients.*').custom(entry => entry && typeof entry === 'object' && Boolean(entry.email) !== Boolean(entry.userId))
+    .withMessage('Each recipient needs either an email or a userId'),
+  body('recipients.*.email').optional().isEmail().normalizeEmail().withMessage('Please enter a valid recipient email'),
+  body('recipients.*.userId').optional().isMongoId().withMessage('Invalid recipient user ID'),
+  body('recipients.*.amount').optional().isInt({ min: 1 }).toInt().withMessage('Amount must be at least 1'),
+  body('totalAmount').optional().isInt({ min: 1 }).toInt().withMessage('Total amount must be at least 1'),
+  body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters'),
+  fundingBucketRule,
+  visibilityRule
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { recipients: entries, message } = req.body;
+    const senderId = req.user.userId;
+    const bucket = req.body.bucket || 'GIVE';
+    const field = balanceField(bucket);
+
+    const tagging = await resolveTags(message);
+    if (rejectUnknownTags(res, tagging)) return;
+    const { tags } = tagging;
+
+    const amounts = splitBatchAmounts(entries, req.body.totalAmount);
+    if (!amounts) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give every recipient an amount, or give a totalAmount of at least one token per recipient to split'
+      });
+    }
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+
+    const sender = await User.findById(senderId);
+    if (!sender) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sender not found'
+      });
+    }
+    const visibility = req.body.visibility || sender.defaultVisibility;
+
+    // Resolve every recipient before moving anything
+    const [byEmail, byId] = await Promise.all([
+      User.find({ email: { $in: entries.filter(entry => entry.email).map(entry => entry.email) } }),
+      User.find({ _id: { $in: entries.filter(entry => entry.userId).map(entry => entry.userId) } })
+    ]);
+    const seen = new Set();
+    const resolved = entries.map((entry, index) => {
+      const recipient = entry.email
+        ? byEmail.find(user => user.email === entry.email)
+        : byId.find(user => user._id.toString() === entry.userId);
+      const result = { recipient: entry.email || entry.userId, amount: amounts[index] };
+
+      if (!recipient) {
+        return { ...result, status: 'INVALID', error: 'Recipient not found' };
+      }
+      const recipientId = recipient._id.toString();
+      if (recipientId === senderId) {
+        return { ...result, status: 'INVALID', error: 'Cannot send tokens to yourself' };
+      }
+      if (seen.has(recipientId)) {
+        return { ...result, status: 'INVALID', error: 'Recipient appears more than once' };
+      }
+      seen.add(recipientId);
+      return { ...result, status: 'VALID', user: recipient };
+    });
+
+    const toResult = ({ user, ...result }) => result;
+    if (resolved.some(entry => entry.status === 'INVALID')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some recipients are invalid; nothing was sent',
+        results: resolved.map(toResult)
+      });
+    }
+
+    if (sender[field] < total) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient token balance'
+      });
+    }
+
+    // Sending limits apply to each leg, counting the legs before it in this batch
+    let alreadyInRequest = 0;
+    for (const entry of resolved) {
+      entry.violations = await evaluateSendPolicy({
+        senderId,
+        recipientId: entry.user._id,
+        amount: entry.amount,
+        alreadyInRequest
+      });
+      alreadyInRequest += entry.amount;
+    }
+    const rejected = resolved.find(entry => entry.violations.some(violation => violation.action === 'REJECT'));
+    if (rejected) {
+      const rejection = rejected.violations.find(violation => violation.action === 'REJECT');
+      if (rejection.retryAfterSeconds) {
+        res.set('Retry-After', String(rejection.retryAfterSeconds));
+      }
+      return res.status(403).json({
+        success: false,
+        code: rejection.code,
+        message: `${rejected.recipient}: ${rejection.message}; nothing was sent`,
+        results: resolved.map(({ violations, ...entry }) => ({
+          ...toResult(entry),
+          violations: violations.map(({ code, message, action }) => ({ code, message, action }))
+        }))
+      });
+    }
+
+    const batchId = crypto.randomUUID();
+
+    // Every leg runs in one MongoDB transaction, so a failure part way undoes the whole batch
+    let sent;
+    try {
+      sent = await withTransaction(async (session) => {
+        // Re-check every leg now that this sender's other sends are settled
+        let checkedInRequest = 0;
+        for (const entry of resolved) {
+          entry.violations = await enforceSendPolicy(session, {
+            senderId,
+            recipientId: entry.user._id,
+            amount: entry.amount,
+            alreadyInRequest: checkedInRequest
+          });
+          checkedInRequest += entry.amount;
+        }
+
+        const created = await TokenTransaction.create(resolved.map(entry => ({
+          sender: senderId,
+          recipient: entry.user._id,
+          amount: entry.amount,
+          message,
+          transactionType: 'SEND',
+          fundingBucket: bucket,
+          tags,
+          visibility,
+          batchId
+        })), { session, ordered: true });
+
+        const outcomes = [];
+        for (const [index, entry] of resolved.entries()) {
+          const balances = await moveTokens(session, {
+            kind: 'SEND',
+            transactionId: created[index]._id,
+            from: { user: sender._id, bucket },
+            to: { user: entry.user._id, bucket: 'EARNED' },
+            amount: entry.amount
+          });
+          sender[field] = balances.from[field];
+          const flag = await flagForReview(session, created[index], entry.violations);
+          outcomes.push({ transaction: created[index], recipient: balances.to, flagged: Boolean(flag) });
+        }
+        return outcomes;
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof SendPolicyError) {
+        rejectPolicyViolations(res, ledgerError.violations);
+        return;
+      }
+      if (ledgerError instanceof LedgerError && ledgerError.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient token balance'
+        });
+      }
+      throw ledgerError;
+    }
+
+    // Notify recipients (a failure doesn't undo the transfer)
+    await Promise.all(sent.map(({ recipient }, index) =>
+      notifyRecipient({ sender, recipient, amount: resolved[index].amount, message })
+    ));
+
+    res.json({
+      success: true,
+      message: `Successfully sent ${total} tokens to ${sent.length} recipients`,
+      batchId,
+      total,
+      bucket,
+      newBalance: sender[field],
+      results: resolved.map(({ violations, ...entry }, index) => ({
+        ...toResult(entry),
+        status: 'SENT',
+        recipientName: entry.user.fullName,
+        transactionId: sent[index].transaction._id,
+        ...(sent[index].flagged && { flaggedForReview: true })
+      }))
+    });
+
+  } catch (error) {
+    console.error('Send batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending tokens'
+    });
+  }
+});
+
+// @route   POST /api/tokens/buy
+// @desc    Start a token purchase; tokens are credited once the provider confirms payment
+// @access  Private
+router.post('/buy', [
+  auth,
+  requireVerified,
+  idempotency,
+  body('amount').isInt({ min: 1, max: getPricing().maxTokensPerPurchase }).toInt()
+    .withMessage(`Amount must be between 1 and ${getPricing().maxTokensPerPurchase} tokens`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const amount = Number(req.body.amount);
+    const userId = req.user.userId;
+    const { tokenPriceCents, currency } = getPricing();
+    const amountCents = amount * tokenPriceCents;
+
+    let provider;
+    try {
+      provider = getProvider();
+    } catch (providerError) {
+      console.error('Payment provider unavailable:', providerError.message);
+      return res.status(503).json({
+        success: false,
+        message: 'Token purchases are not available'
+      });
+    }
+
+    // Record the purchase before talking to the provider so no payment is ever untracked
+    const transaction = new TokenTransaction({
+      sender: userId,
+      recipient: userId, // Self-transaction for purchases
+      amount,
+      message: `Purchased ${amount} tokens`,
+      transactionType: 'PURCHASE',
+      status: 'PENDING',
+      metadata: {
+        provider: provider.name,
+        amountCents,
+        currency
+      }
+    });
+    await transaction.save();
+
+    let payment;
+    try {
+      payment = await provider.createPayment({
+        amountCents,
+        currency,
+        reference: transaction._id.toString(),
+        userId
+      });
+    } catch (providerError) {
+      console.error('Payment provider error:', providerError);
+      transaction.status = 'FAILED';
+      transaction.metadata = { ...transaction.metadata, failureReason: 'Payment could not be started' };
+      await transaction.save();
+      return res.status(502).json({
+        success: false,
+        message: 'Payment could not be started, please try again'
+      });
+    }
+
+    transaction.metadata = { ...transaction.metadata, providerPaymentId: payment.providerPaymentId };
+    await transaction.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase created. Tokens will be added once payment is confirmed',
+      transaction,
+      payment
+    });
+
+  } catch (error) {
+    console.error('Buy tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while buying tokens'
+    });
+  }
+});
+
+// @route   GET /api/tokens/purchases/:id
+// @desc    Get the status of a token purchase
+// @access  Private
+router.get('/purchases/:id', auth, async (req, res) => {
+  try {
+    const transaction = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await TokenTransaction.findOne({
+        _id: req.params.id,
+        recipient: req.user.userId,
+        transactionType: 'PURCHASE'
+      })
+      : null;
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      transaction
+    });
+
+  } catch (error) {
+    console.error('Get purchase error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching purchase'
+    });
+  }
+});
+
+// Filter matching one of the caller's pending scheduled sends
+const scheduledSendFilter = (req) => ({
+  _id: req.params.id,
+  sender: req.user.userId,
+  transactionType: 'SEND',
+  status: 'PENDING',
+  scheduledFor: { $ne: null }
+});
+
+// Reply 404 unless :id is one of the caller's pending scheduled sends; returns true if it replied
+const rejectUnknownScheduledSend = async (req, res) => {
+  if (mongoose.Types.ObjectId.isValid(req.params.id) && await TokenTransaction.exists(scheduledSendFilter(req))) {
+    return false;
+  }
+  res.status(404).json({
+    success: false,
+    message: 'Scheduled send not found'
+  });
+  return true;
+};
+
+// @route   GET /api/tokens/scheduled
+// @desc    List the user's pending scheduled sends
+// @access  Private
+router.get('/scheduled', auth, async (req, res) => {
+  try {
+    const transactions = await TokenTransaction.find({
+      sender: req.user.userId,
+      transactionType: 'SEND',
+      status: 'PENDING',
+      scheduledFor: { $ne: null }
+    })
+    .populate('recipient', 'firstName lastName email')
+    .sort({ scheduledFor: 1 });
+
+    res.json({
+      success: true,
+      transactions
+    });
+
+  } catch (error) {
+    console.error('Get scheduled sends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scheduled sends'
+    });
+  }
+});
+
+// @route   PUT /api/tokens/scheduled/:id
+// @desc    Edit the date, amount or message of a scheduled send
+// @access  Private
+router.put('/scheduled/:id', [
+  auth,
+  requireVerified,
+  body('sendAt').optional().isISO8601().custom(isValidSendAt)
+    .withMessage('sendAt must be a future date within the scheduling window'),
+  body('amount').optional().isInt({ min: 1 }).toInt().withMessage('Amount must be at least 1'),
+  body('message').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await rejectUnknownScheduledSend(req, res)) return;
+
+    const { sendAt, message } = req.body;
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : undefined;
+
+    let result;
+    try {
+      result = await withTransaction(async (session) => {
+        // Re-read inside the transaction so a send being delivered right now can't be edited
+        const transaction = await TokenTransaction.findOne(scheduledSendFilter(req)).session(session);
+        if (!transaction) return null;
+
+        // Top up or release the escrowed reservation by the difference
+        let newBalance;
+        let violations = [];
+        const delta = amount !== undefined ? amount - transaction.amount : 0;
+        if (delta > 0) {
+          // Raising the amount sends more, so the extra is held to the sending limits
+          violations = await enforceSendPolicy(session, {
+            senderId: transaction.sender,
+            recipientId: transaction.recipient,
+            amount: delta
+          });
+        }
+        if (delta !== 0) {
+          const sender = { user: transaction.sender, bucket: transaction.sourceBucket };
+          const escrow = { system: 'ESCROW' };
+          const balances = await moveTokens(session, {
+            kind: delta > 0 ? 'ESCROW_HOLD' : 'ESCROW_RELEASE',
+            transactionId: transaction._id,
+            from: delta > 0 ? sender : escrow,
+            to: delta > 0 ? escrow : sender,
+            amount: Math.abs(delta)
+          });
+          newBalance = (balances.from || balances.to)[balanceField(transaction.sourceBucket)];
+          transaction.amount = amount;
+        }
+
+        if (sendAt) transaction.scheduledFor = new Date(sendAt);
+        if (message) transaction.message = message;
+        await transaction.save({ session });
+        const flag = await flagForReview(session, transaction, violations);
+
+        return { transaction, newBalance, flagged: Boolean(flag) };
+      });
+    } catch (ledgerError) {
+      if (ledgerError instanceof SendPolicyError) {
+        rejectPolicyViolations(res, ledgerError.violations);
+        return;
+      }
+      if (ledgerError instanceof LedgerError && ledgerError.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient token balance'
+        });
+      }
+      throw ledgerError;
+    }
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'This scheduled send has already been delivered or cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled send updated',
+      ...(result.flagged && { flaggedForReview: true }),
+      ...(result.newBalance !== undefined && { newBalance: result.newBalance }),
+      transaction: result.transaction
+    });
+
+  } catch (error) {
+    console.error('Update scheduled send error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating scheduled send'
+    });
+  }
+});
+
+// @route   DELETE /api/tokens/scheduled/:id
+// @desc    Cancel a scheduled send and release the reserved tokens
+// @access  Private
+router.delete('/scheduled/:id', auth, async (req, res) => {
+  try {
+    if (await rejectUnknownScheduledSend(req, res)) return;
+
+    const result = await withTransaction(async (session) => {
+      const transaction = await TokenTransaction.findOneAndUpdate(
+        scheduledSendFilter(req),
+        { $set: { status: 'CANCELLED', 'metadata.cancelledAt': new Date() } },
+        { new: true, session }
+      );
+      if (!transaction) return null;
+
+      const balances = await moveTokens(session, {
+        kind: 'ESCROW_RELEASE',
+        transactionId: transaction._id,
+        from: { system: 'ESCROW' },
+        to: { user: transaction.sender, bucket: transaction.sourceBucket },
+        amount: transaction.amount
+      });
+      return { transaction, newBalance: balances.to[balanceField(transaction.sourceBucket)] };
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'This scheduled send has already been delivered or cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled send cancelled and tokens returned',
+      newBalance: result.newBalance,
+      transaction: result.transaction
+    });
+
+  } catch (error) {
+    console.error('Cancel scheduled send error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling scheduled send'
+    });
+  }
+});
+
+// @route   GET /api/tokens/claims/:token
+// @desc    Preview a claimable send from its emailed claim link
+// @access  Public
+router.get('/claims/:token', async (req, res) => {
+  try {
+    const claim = await TokenTransaction.findByClaimToken(req.params.token);
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'This claim link is invalid, expired or already used'
+      });
+    }
+
+    await claim.populate('sender', 'firstName lastName');
+
+    res.json({
+      success: true,
+      claim: {
+        email: claim.claimEmail,
+        amount: claim.amount,
+        message: claim.message,
+        sender: claim.sender,
+        expiresAt: claim.claimExpiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching claim'
+    });
+  }
+});
+
 // @route   GET /api/tokens/history
 // @desc    Get user's transaction history
 // @access  Private
@@ -136,9 +861,10 @@ router.get('/history', auth, async (req, res) => {
     const skip = (page - 1) * limit;
     const type = (req.query.type || 'ALL').toUpperCase();
 
-    // Build base filter: transactions involving the user
+    // Build base filter: transactions involving the user, hiding sends
+    // to them that haven't been delivered yet (scheduled surprises)
     let baseFilter = {
-      $or: [{ sender: userId }, { recipient: userId }]
+      $or: [{ sender: userId }, { recipient: userId, status: { $ne: 'PENDING' } }]
     };
 
     // Apply type-specific filtering
@@ -147,11 +873,30 @@ router.get('/history', auth, async (req, res) => {
       filter = { sender: userId, transactionType: 'SEND' };
     } else if (type === 'RECEIVE') {
       // We record SEND transactions only; RECEIVED are SEND where current user is recipient
-      filter = { recipient: userId, transactionType: 'SEND' };
+      filter = { recipient: userId, transactionType: 'SEND', status: { $in: ['COMPLETED', 'REVERSED'] } };
     } else if (type === 'PURCHASE') {
       filter = { ...baseFilter, transactionType: 'PURCHASE' };
     } else if (type === 'REDEEM') {
       filter = { ...baseFilter, transactionType: 'REDEEM' };
+    } else if (type === 'REVERSAL') {
+      filter = { ...baseFilter, transactionType: 'REVERSAL' };
+    }
+
+    // Optionally narrow to one company-value tag
+    if (req.query.tag) {
+      filter = { $and: [filter, { tags: normalizeTag(req.query.tag) }] };
+    }
+
+    // Optionally narrow to one bucket: the transactions whose ledger postings
+    // moved that balance of the user's (entries from before buckets count as EARNED)
+    const bucket = (req.query.bucket || '').toUpperCase();
+    if (bucket === 'GIVE' || bucket === 'EARNED') {
+      const transactionIds = await LedgerEntry.distinct('transaction', {
+        account: new mongoose.Types.ObjectId(userId),
+        bucket: bucket === 'GIVE' ? 'GIVE' : { $in: ['EARNED', null] },
+        transaction: { $ne: null }
+      });
+      filter = { $and: [filter, { _id: { $in: transactionIds } }] };
     }
 
     const [transactions, total] = await Promise.all([
@@ -166,7 +911,7 @@ router.get('/history', auth, async (req, res) => {
 
     res.json({
       success: true,
-      transactions,
+      transactions: await withInteractionCounts(transactions, userId),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -185,12 +930,295 @@ router.get('/history', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/tokens/search
+// @desc    Search the messages of transactions the user took part in
+// @access  Private
+router.get('/search', auth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const q = (req.query.q || '').trim();
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    if (q.length < 2 || q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search needs between 2 and 200 characters'
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    // Same participation rule as the history: nothing the user didn't send
+    // or receive, and no undelivered sends to them
+    const conditions = [
+      { $or: [{ sender: userId }, { recipient: userId, status: { $ne: 'PENDING' } }] }
+    ];
+
+    // Narrow to one counterpart, given as a user id or email
+    if (req.query.counterpart) {
+      const counterpart = mongoose.Types.ObjectId.isValid(req.query.counterpart)
+        ? await User.findById(req.query.counterpart).select('_id')
+        : await User.findOne({ email: req.query.counterpart.toLowerCase().trim() }).select('_id');
+      if (!counterpart) {
+        return res.status(404).json({
+          success: false,
+          message: 'Counterpart not found'
+        });
+      }
+      conditions.push({
+        $or: [
+          { sender: userId, recipient: counterpart._id },
+          { sender: counterpart._id, recipient: userId }
+        ]
+      });
+    }
+
+    if (range.from || range.to) {
+      const createdAt = {};
+      if (range.from) createdAt.$gte = range.from;
+      if (range.to) createdAt.$lt = range.to;
+      conditions.push({ createdAt });
+    }
+
+    const filter = { $text: { $search: q }, $and: conditions };
+
+    const [transactions, total] = await Promise.all([
+      TokenTransaction.find(filter, { score: { $meta: 'textScore' } })
+        .select('-claimToken')
+        .populate('sender', 'firstName lastName email')
+        .populate('recipient', 'firstName lastName email')
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      TokenTransaction.countDocuments(filter)
+    ]);
+
+    const terms = parseSearchTerms(q);
+
+    res.json({
+      success: true,
+      query: q,
+      results: transactions.map(transaction => ({
+        ...transaction.toJSON(),
+        snippet: buildSnippet(transaction.message, terms)
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Search transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching transactions'
+    });
+  }
+});
+
+// Row types accepted by the history export's `type` filter
+const EXPORT_TYPES = ['ALL', 'SEND', 'RECEIVE', 'PURCHASE', 'REDEEM', 'ADJUSTMENT', 'REVERSAL', 'ALLOWANCE'];
+
+const HISTORY_EXPORT_COLUMNS = [
+  { header: 'Date', value: row => row.date },
+  { header: 'Transaction ID', value: row => row.transactionId },
+  { header: 'Type', value: row => row.type },
+  { header: 'Entry', value: row => row.kind },
+  { header: 'Status', value: row => row.status },
+  { header: 'Bucket', value: row => row.bucket },
+  { header: 'Amount', value: row => row.amount },
+  { header: 'Counterpart', value: row => row.counterpart && row.counterpart.name },
+  { header: 'Counterpart Email', value: row => row.counterpart && row.counterpart.email },
+  { header: 'Message', value: row => row.message },
+  { header: 'Tags', value: row => row.tags },
+  { header: 'Earned Balance', value: row => row.earnedBalance },
+  { header: 'Give Balance', value: row => row.giveBalance }
+];
+
+// @route   GET /api/tokens/history/export
+// @desc    Download every change to the user's balances as CSV or JSON, with running balances
+// @access  Private
+router.get('/history/export', auth, async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    const type = (req.query.type || 'ALL').toUpperCase();
+    if (!EXPORT_FORMATS.includes(format) || !EXPORT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be ${EXPORT_FORMATS.join(' or ')} and type one of ${EXPORT_TYPES.join(', ')}`
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    // The export is read from the ledger, so it only reaches back as far as
+    // the ledger holds the user's history; older balances arrive as an opening balance
+    const { pending, coveredFrom } = await ledgerCoverage(req.user.userId);
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        code: 'OPENING_BALANCE_PENDING',
+        message: 'Your history can be exported once your balance history has been migrated'
+      });
+    }
+    if (coveredFrom) {
+      if (range.from && range.from < coveredFrom) {
+        return res.status(400).json({
+          success: false,
+          code: 'BEFORE_LEDGER',
+          message: `History can only be exported from ${coveredFrom.toISOString()}`,
+          availableFrom: coveredFrom
+        });
+      }
+      range.from = range.from || coveredFrom;
+    }
+
+    // The type filter only hides rows; the running balances still count everything
+    let openingBalance;
+    let closingBalance;
+    const rows = (async function* () {
+      for await (const row of userActivity(req.user.userId, {
+        ...range,
+        opening: balances => { openingBalance = closingBalance = balances; }
+      })) {
+        closingBalance = { EARNED: row.earnedBalance, GIVE: row.giveBalance };
+        const rowType = row.type.startsWith('ALLOWANCE_') ? 'ALLOWANCE' : row.type;
+        if (type === 'ALL' || rowType === type) yield row;
+      }
+    })();
+
+    await streamExport(res, {
+      format,
+      filename: `token-history-${new Date().toISOString().slice(0, 10)}`,
+      columns: HISTORY_EXPORT_COLUMNS,
+      rows,
+      meta: () => ({ from: range.from, to: range.to, type, openingBalance }),
+      summary: () => ({ closingBalance })
+    });
+
+  } catch (error) {
+    console.error('Export history error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting transaction history'
+    });
+  }
+});
+
+// @route   GET /api/tokens/statements
+// @desc    List the user's monthly statements (without their lines)
+// @access  Private
+router.get('/statements', auth, async (req, res) => {
+  try {
+    const statements = await Statement.find({ user: req.user.userId })
+      .select('-lines')
+      .sort({ period: -1 });
+
+    res.json({
+      success: true,
+      statements
+    });
+
+  } catch (error) {
+    console.error('Get statements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statements'
+    });
+  }
+});
+
+// @route   GET /api/tokens/statements/:period
+// @desc    Get the statement for a month (YYYY-MM) as JSON, or printable HTML with ?format=html
+// @access  Private
+router.get('/statements/:period', auth, async (req, res) => {
+  try {
+    const { period } = req.params;
+    if (!PERIOD_PATTERN.test(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be YYYY-MM'
+      });
+    }
+    if (!isClosedPeriod(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statements are available once the month is over'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('firstName lastName email createdAt');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user.createdAt.toISOString().slice(0, 7) > period) {
+      return res.status(404).json({
+        success: false,
+        message: 'No statement for this period'
+      });
+    }
+
+    // Generated on demand if the monthly job hasn't reached this user yet
+    let statement;
+    try {
+      statement = await generateStatement(user._id, period);
+    } catch (statementError) {
+      if (statementError instanceof StatementUnavailableError) {
+        return res.status(statementError.code === 'OPENING_BALANCE_PENDING' ? 409 : 404).json({
+          success: false,
+          code: statementError.code,
+          message: statementError.message
+        });
+      }
+      throw statementError;
+    }
+
+    if ((req.query.format || '').toLowerCase() === 'html') {
+      return res.type('html').send(renderStatementPage(statement, user));
+    }
+
+    res.json({
+      success: true,
+      statement
+    });
+
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statement'
+    });
+  }
+});
+
 // @route   GET /api/tokens/balance
-// @desc    Get user's current token balance
+// @desc    Get user's giving allowance and earned balance
 // @access  Private
 router.get('/balance', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('tokenBalance');
+    const user = await User.findById(req.user.userId).select('tokenBalance giveBalance purchasedGiveBalance');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -200,7 +1228,14 @@ router.get('/balance', auth, async (req, res) => {
 
     res.json({
       success: true,
-      balance: user.tokenBalance
+      // `balance` is the earned balance, kept for older clients
+      balance: user.tokenBalance,
+      earnedBalance: user.tokenBalance,
+      giveBalance: user.giveBalance,
+      // What expires at the reset; bought tokens are kept
+      expiringGiveBalance: user.giveBalance - Math.min(user.purchasedGiveBalance, user.giveBalance),
+      giveAllowance: getAllowance(),
+      giveAllowanceResetsAt: nextResetAt()
     });
 
   } catch (error) {
@@ -22,12 +22,12 @@ router.get('/profile', auth, async (req, res) => {
 
     // Get user statistics
     const sentTokens = await TokenTransaction.aggregate([
-      { $match: { sender: user._id, transactionType: 'SEND' } },
+      { $match: { sender: user._id, transactionType: 'SEND', status: 'COMPLETED' } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
     const receivedTokens = await TokenTransaction.aggregate([
-      { $match: { recipient: user._id, transactionType: 'SEND' } },
+      { $match: { recipient: user._id, transactionType: 'SEND', status: 'COMPLETED' } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
@@ -39,7 +39,8 @@ router.get('/profile', auth, async (req, res) => {
       totalSent: sentTokens[0]?.total || 0,
       totalReceived: receivedTokens[0]?.total || 0,
       totalTransactions,
-      currentBalance: user.tokenBalance
+      currentBalance: user.tokenBalance,
+      giveBalance: user.giveBalance
     };
 
     res.json({
@@ -104,7 +105,7 @@ router.get('/leaderboard', async (req, res) => {
     
     if (type === 'sent') {
       pipeline = [
-        { $match: { transactionType: 'SEND' } },
+        { $match: { transactionType: 'SEND', status: 'COMPLETED' } },
         { $group: { _id: '$sender', total: { $sum: '$amount' } } },
         { $sort: { total: -1 } },
         { $limit: parseInt(limit) },
@@ -121,7 +122,7 @@ router.get('/leaderboard', async (req, res) => {
       ];
     } else if (type === 'received') {
       pipeline = [
-        { $match: { transactionType: 'SEND' } },
+        { $match: { transactionType: 'SEND', status: 'COMPLETED' } },
         { $group: { _id: '$recipient', total: { $sum: '$amount' } } },
         { $sort: { total: -1 } },
         { $limit: parseInt(limit) },
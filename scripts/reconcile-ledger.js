@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { reconcile, backfillOpeningBalances } = require('../utils/ledger');
+require('dotenv').config();
+
+// Usage: npm run reconcile-ledger [-- --backfill-opening]
+// --backfill-opening posts opening balances for whatever of each user's balances the ledger is missing.
+const reconcileLedger = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 30000 // 30 seconds timeout
+    });
+    console.log('Connected to MongoDB');
+
+    if (process.argv.includes('--backfill-opening')) {
+      const posted = await backfillOpeningBalances();
+      console.log(`Posted opening balances for ${posted} users`);
+    }
+
+    const { usersChecked, drift, unbalancedJournals } = await reconcile();
+    console.log(`Checked ${usersChecked} users`);
+
+    drift.forEach(row => {
+      console.log(`- ${row.email} (${row.bucket}): balance ${row.balance}, ledger ${row.ledgerBalance} (drift ${row.difference})`);
+    });
+    unbalancedJournals.forEach(row => {
+      console.log(`- Journal ${row._id} is unbalanced by ${row.net}`);
+    });
+
+    if (drift.length || unbalancedJournals.length) {
+      console.log(`\n❌ Found ${drift.length} drifting balances and ${unbalancedJournals.length} unbalanced journals`);
+      process.exit(1);
+    }
+
+    console.log('\n✅ Ledger reconciles with all balances');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Error reconciling ledger:', error);
+    process.exit(1);
+  }
+};
+
+// Run the reconciliation
+reconcileLedger();
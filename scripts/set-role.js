@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Usage: npm run set-role -- <email> <user|manager|admin>
+// Bootstraps the first admin; afterwards roles can be managed via /api/admin.
+const setRole = async () => {
+  const [email, role] = process.argv.slice(2);
+  const validRoles = ['user', 'manager', 'admin'];
+
+  if (!email || !validRoles.includes(role)) {
+    console.error('Usage: npm run set-role -- <email> <user|manager|admin>');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI, {
+      serverSelectionTimeoutMS: 30000 // 30 seconds timeout
+    });
+    console.log('Connected to MongoDB');
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase().trim() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      process.exit(1);
+    }
+
+    console.log(`${user.email} is now ${user.role}`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('Error setting role:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+setRole();
@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 require('dotenv').config();
+const { startJobs } = require('./utils/jobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -12,6 +13,13 @@ const tokenRoutes = require('./routes/tokens');
 const userRoutes = require('./routes/users');
 const rewardRoutes = require('./routes/rewards');
 const feedbackRoutes = require('./routes/feedback');
+const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const potRoutes = require('./routes/pots');
+const feedRoutes = require('./routes/feed');
+const tagRoutes = require('./routes/tags');
+const redemptionRoutes = require('./routes/redemptions');
+const jobRoutes = require('./routes/jobs');
 
 const app = express();
 
@@ -64,8 +72,9 @@ app.use(cors({
     return callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After'],
   optionsSuccessStatus: 200
 }));
 
@@ -85,7 +94,13 @@ app.use((req, res, next) => {
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Root endpoint for testing
@@ -111,6 +126,13 @@ app.use('/api/tokens', tokenRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/rewards', rewardRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/pots', potRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/redemptions', redemptionRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -173,6 +195,7 @@ const startServer = async () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📧 Email notifications: ${process.env.EMAIL_USER ? 'Configured' : 'Not configured'}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    startJobs();
   });
 };
 
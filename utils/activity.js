@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const TokenTransaction = require('../models/TokenTransaction');
+
+// A ledger leg's effect on its account: credits add, debits subtract
+const SIGNED_AMOUNT = { $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', { $multiply: ['$amount', -1] }] };
+
+// A user's balance in each bucket from their ledger entries, optionally only
+// counting entries before a date. Returns { EARNED, GIVE }.
+const balancesAt = async (userId, before = null) => {
+  const match = { account: new mongoose.Types.ObjectId(userId) };
+  if (before) match.createdAt = { $lt: before };
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    // Entries from before buckets existed have no bucket and count as EARNED
+    { $group: { _id: { $ifNull: ['$bucket', 'EARNED'] }, balance: { $sum: SIGNED_AMOUNT } } }
+  ]);
+  const balances = { EARNED: 0, GIVE: 0 };
+  rows.forEach(row => { balances[row._id] = row.balance; });
+  return balances;
+};
+
+// When the ledger started: the first entry ever posted
+const ledgerCutover = async () => {
+  const first = await LedgerEntry.findOne().sort({ _id: 1 }).select('createdAt').lean();
+  return first ? first.createdAt : null;
+};
+
+// How much of a user's history the ledger holds. Users who joined after the
+// cutover are covered from the start (coveredFrom null). Older users are
+// covered from their latest OPENING_BALANCE posting, or the cutover if they
+// never needed one. They are `pending` while their ledger doesn't add up to
+// their balances, i.e. backfillOpeningBalances hasn't caught up with them.
+// Pass `cutover` to save a lookup. Returns { pending, coveredFrom }.
+const ledgerCoverage = async (userId, cutover) => {
+  if (cutover === undefined) cutover = await ledgerCutover();
+  const user = await User.findById(userId).select('createdAt tokenBalance giveBalance').lean();
+  if (!user || (cutover && user.createdAt >= cutover)) {
+    return { pending: false, coveredFrom: null };
+  }
+
+  const balances = await balancesAt(userId);
+  if (balances.EARNED !== (user.tokenBalance || 0) || balances.GIVE !== (user.giveBalance || 0)) {
+    return { pending: true, coveredFrom: null };
+  }
+
+  const openingBalance = await LedgerEntry.findOne({ account: user._id, kind: 'OPENING_BALANCE' })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+  return { pending: false, coveredFrom: openingBalance ? openingBalance.createdAt : cutover || new Date() };
+};
+
+// What a movement was from the user's side: SEND or RECEIVE for transfers,
+// the transaction type otherwise, or the ledger kind when there is no
+// transaction (allowance grants and expiries, signup bonuses)
+const activityType = (transaction, userId, kind) => {
+  if (!transaction) return kind;
+  if (transaction.transactionType === 'SEND') {
+    return transaction.sender && transaction.sender._id.toString() === userId ? 'SEND' : 'RECEIVE';
+  }
+  return transaction.transactionType;
+};
+
+// The other party of a transaction, or null for the user's own purchases and redemptions
+const counterpartOf = (transaction, userId) => {
+  if (!transaction) return null;
+  const other = [transaction.sender, transaction.recipient]
+    .find(party => party && party._id.toString() !== userId);
+  if (other) {
+    return { _id: other._id, name: `${other.firstName} ${other.lastName}`, email: other.email };
+  }
+  return transaction.claimEmail ? { _id: null, name: null, email: transaction.claimEmail } : null;
+};
+
+// Every change to a user's balances in date order, read from the ledger a
+// batch at a time so a long history is never held in memory. Yields one row
+// per journal and bucket with the signed amount and both balances after it:
+// { date, journalId, transactionId, type, kind, status, bucket, amount,
+//   counterpart, message, tags, earnedBalance, giveBalance }.
+// `opening` receives the balances before `from` once they are known.
+async function* userActivity(userId, { from = null, to = null, batchSize = 200, opening } = {}) {
+  const balances = await balancesAt(userId, from);
+  if (opening) opening({ ...balances });
+
+  const match = { account: new mongoose.Types.ObjectId(userId) };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+
+  const toRows = async (legs) => {
+    const transactionIds = [...new Set(legs.filter(leg => leg.transaction).map(leg => leg.transaction.toString()))];
+    const transactions = new Map((await TokenTransaction.find({ _id: { $in: transactionIds } })
+      .select('transactionType status sender recipient claimEmail message tags')
+      .populate('sender', 'firstName lastName email')
+      .populate('recipient', 'firstName lastName email')
+      .lean())
+      .map(transaction => [transaction._id.toString(), transaction]));
+
+    return legs.map(leg => {
+      const transaction = leg.transaction ? transactions.get(leg.transaction.toString()) : null;
+      balances[leg.bucket] += leg.amount;
+      return {
+        date: leg.createdAt,
+        journalId: leg.journalId,
+        transactionId: leg.transaction,
+        type: activityType(transaction, userId, leg.kind),
+        kind: leg.kind,
+        status: transaction ? transaction.status : null,
+        bucket: leg.bucket,
+        amount: leg.amount,
+        counterpart: counterpartOf(transaction, userId),
+        message: transaction ? transaction.message : null,
+        tags: (transaction && transaction.tags) || [],
+        earnedBalance: balances.EARNED,
+        giveBalance: balances.GIVE
+      };
+    });
+  };
+
+  // Legs of the same journal and bucket are merged into one signed amount
+  let legs = [];
+  const cursor = LedgerEntry.find(match).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    const bucket = entry.bucket || 'EARNED';
+    const amount = entry.direction === 'CREDIT' ? entry.amount : -entry.amount;
+    const last = legs[legs.length - 1];
+    if (last && last.journalId.equals(entry.journalId) && last.bucket === bucket) {
+      last.amount += amount;
+      continue;
+    }
+    if (legs.length >= batchSize) {
+      yield* await toRows(legs);
+      legs = [];
+    }
+    legs.push({ ...entry, bucket, amount });
+  }
+  if (legs.length) yield* await toRows(legs);
+}
+
+module.exports = {
+  balancesAt,
+  ledgerCutover,
+  ledgerCoverage,
+  userActivity
+};
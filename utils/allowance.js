@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const { withTransaction, moveTokens } = require('./ledger');
+
+// Monthly giving allowance (GIVE_ALLOWANCE, default 500). Periods are UTC
+// calendar months; whatever is left of a month's allowance expires when the
+// next one is granted.
+const getAllowance = () => {
+  const allowance = Number(process.env.GIVE_ALLOWANCE);
+  return Number.isInteger(allowance) && allowance >= 0 ? allowance : 500;
+};
+
+// Whether sends may be paid from the earned balance (ALLOW_EARNED_SENDS). Off
+// by default: earned tokens are for rewards, and passing them on would let
+// people pool them with a friend to redeem
+const canSendFromEarned = () => process.env.ALLOW_EARNED_SENDS === 'true';
+
+// The period a date falls in, e.g. "2026-10"
+const currentPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+// When the allowance for the period containing `date` is replaced
+const nextResetAt = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+// Expire a user's leftover allowance and grant this period's. Tokens the user
+// bought are kept.
+// Returns true if a new allowance was granted, false if it already had one.
+const refreshGiveAllowance = async (userId) => {
+  const period = currentPeriod();
+  const allowance = getAllowance();
+
+  return await withTransaction(async (session) => {
+    // Claiming the period first means a user is granted at most once per period
+    const before = await User.findOneAndUpdate(
+      { _id: userId, giveAllowancePeriod: { $ne: period } },
+      { $set: { giveAllowancePeriod: period } },
+      { session }
+    );
+    if (!before) return false;
+
+    const purchased = Math.min(before.purchasedGiveBalance || 0, before.giveBalance);
+    const expiring = before.giveBalance - purchased;
+    await User.updateOne({ _id: userId }, { $set: { purchasedGiveBalance: purchased } }, { session });
+
+    if (expiring > 0) {
+      await moveTokens(session, {
+        kind: 'ALLOWANCE_EXPIRY',
+        from: { user: userId, bucket: 'GIVE' },
+        to: { system: 'ALLOWANCE' },
+        amount: expiring
+      });
+    }
+    if (allowance > 0) {
+      await moveTokens(session, {
+        kind: 'ALLOWANCE_GRANT',
+        from: { system: 'ALLOWANCE' },
+        to: { user: userId, bucket: 'GIVE' },
+        amount: allowance
+      });
+    }
+    return true;
+  });
+};
+
+// Grant the current period's allowance to every user who hasn't had it yet
+const processAllowanceRefills = async (limit = 500) => {
+  const due = await User.find({ giveAllowancePeriod: { $ne: currentPeriod() } })
+    .select('_id')
+    .limit(limit);
+
+  const summary = { GRANTED: 0, SKIPPED: 0, ERROR: 0 };
+  for (const { _id } of due) {
+    try {
+      summary[await refreshGiveAllowance(_id) ? 'GRANTED' : 'SKIPPED'] += 1;
+    } catch (error) {
+      console.error(`Allowance refill for ${_id} failed:`, error);
+      summary.ERROR += 1;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  getAllowance,
+  canSendFromEarned,
+  currentPeriod,
+  nextResetAt,
+  refreshGiveAllowance,
+  processAllowanceRefills
+};
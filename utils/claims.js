@@ -0,0 +1,151 @@
+const TokenTransaction = require('../models/TokenTransaction');
+const { balanceField, withTransaction, moveTokens } = require('./ledger');
+const { notifyRecipient } = require('./transfers');
+const { enforceSendPolicy, flagForReview } = require('./sendPolicy');
+const { sendEmail, emailTemplates } = require('./email');
+
+// Send to an address with no account yet: the tokens are held in escrow as a
+// PENDING transaction and the address is emailed a claim link. Throws
+// LedgerError INSUFFICIENT_BALANCE or SendPolicyError. Returns the transaction,
+// the sender's new balance and whether the send was flagged for review.
+const createClaimableSend = async (sender, { email, amount, message, tags, bucket = 'GIVE', visibility = 'PARTICIPANTS' }) => {
+  let claimToken;
+  const result = await withTransaction(async (session) => {
+    const violations = await enforceSendPolicy(session, { senderId: sender._id, amount });
+
+    const transaction = new TokenTransaction({
+      sender: sender._id,
+      claimEmail: email,
+      amount,
+      message,
+      transactionType: 'SEND',
+      status: 'PENDING',
+      fundingBucket: bucket,
+      tags,
+      visibility
+    });
+    claimToken = transaction.createClaimToken();
+    await transaction.save({ session });
+
+    const balances = await moveTokens(session, {
+      kind: 'ESCROW_HOLD',
+      transactionId: transaction._id,
+      from: { user: sender._id, bucket },
+      to: { system: 'ESCROW' },
+      amount
+    });
+    const flag = await flagForReview(session, transaction, violations);
+    return { transaction, newBalance: balances.from[balanceField(bucket)], flagged: Boolean(flag) };
+  });
+
+  // The send stands even if the email fails; it is also credited on registration
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').trim();
+  try {
+    await sendEmail({
+      to: email,
+      ...emailTemplates.tokensWaiting({
+        senderName: sender.fullName,
+        amount,
+        message,
+        claimUrl: `${frontendUrl}/claim?token=${claimToken}`,
+        expiresAt: result.transaction.claimExpiresAt.toDateString()
+      })
+    });
+  } catch (emailError) {
+    console.error('Claim email failed:', emailError);
+  }
+
+  return result;
+};
+
+// Credit every unexpired claimable send addressed to a user's email.
+// Never throws; a claim that fails stays pending. Returns { count, amount, tokenBalance }.
+const creditPendingClaims = async (user) => {
+  const claims = await TokenTransaction.find({
+    claimEmail: user.email,
+    status: 'PENDING',
+    claimExpiresAt: { $gt: new Date() }
+  })
+  .populate('sender', 'firstName lastName email');
+
+  const credited = { count: 0, amount: 0, tokenBalance: user.tokenBalance };
+  for (const claim of claims) {
+    try {
+      const recipient = await withTransaction(async (session) => {
+        // Claiming inside the transaction means each send is credited once
+        const claimed = await TokenTransaction.findOneAndUpdate(
+          { _id: claim._id, status: 'PENDING', claimExpiresAt: { $gt: new Date() } },
+          { $set: { status: 'COMPLETED', recipient: user._id, 'metadata.claimedAt': new Date() } },
+          { new: true, session }
+        );
+        if (!claimed) return null;
+
+        const balances = await moveTokens(session, {
+          kind: 'SEND',
+          transactionId: claim._id,
+          from: { system: 'ESCROW' },
+          to: { user: user._id, bucket: 'EARNED' },
+          amount: claim.amount
+        });
+        return balances.to;
+      });
+      if (!recipient) continue;
+
+      credited.count += 1;
+      credited.amount += claim.amount;
+      credited.tokenBalance = recipient.tokenBalance;
+
+      if (claim.sender) {
+        await notifyRecipient({ sender: claim.sender, recipient, amount: claim.amount, message: claim.message });
+      }
+    } catch (error) {
+      console.error(`Crediting claim ${claim._id} failed:`, error);
+    }
+  }
+  return credited;
+};
+
+// Return expired, unclaimed sends to their senders
+const refundExpiredClaims = async (limit = 100) => {
+  const expired = await TokenTransaction.find({
+    status: 'PENDING',
+    claimExpiresAt: { $lte: new Date() }
+  })
+  .select('_id')
+  .sort({ claimExpiresAt: 1 })
+  .limit(limit);
+
+  const summary = { REFUNDED: 0, SKIPPED: 0, ERROR: 0 };
+  for (const { _id } of expired) {
+    try {
+      const refunded = await withTransaction(async (session) => {
+        const transaction = await TokenTransaction.findOneAndUpdate(
+          { _id, status: 'PENDING', claimExpiresAt: { $lte: new Date() } },
+          { $set: { status: 'FAILED', 'metadata.failureReason': 'Claim expired' } },
+          { new: true, session }
+        );
+        if (!transaction) return false;
+
+        await moveTokens(session, {
+          kind: 'ESCROW_RELEASE',
+          transactionId: transaction._id,
+          from: { system: 'ESCROW' },
+          to: { user: transaction.sender, bucket: transaction.sourceBucket },
+          amount: transaction.amount
+        });
+        return true;
+      });
+      summary[refunded ? 'REFUNDED' : 'SKIPPED'] += 1;
+    } catch (error) {
+      console.error(`Refunding claim ${_id} failed:`, error);
+      summary.ERROR += 1;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  createClaimableSend,
+  creditPendingClaims,
+  refundExpiredClaims
+};
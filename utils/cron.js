@@ -0,0 +1,127 @@
+// Minimal 5-field cron rules ("minute hour day-of-month month day-of-week"),
+// evaluated in UTC. Each field supports *, numbers, lists (1,15), ranges (1-5)
+// and steps (*/2, 1-10/3). Day-of-week is 0-6 with 0 (or 7) as Sunday.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MAX_ITERATIONS = 100000;
+
+// Expand one field into the set of values it matches
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  expression.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      end = stepPart === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name}: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+// Parse a rule into { minute, hour, dayOfMonth, month, dayOfWeek } value sets; throws on bad input
+const parseCron = (rule) => {
+  const parts = String(rule || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron rule must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // Sunday may be written as 7
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  // As in standard cron, restricting both day fields matches either of them
+  parsed.restrictedDayOfMonth = parts[2] !== '*';
+  parsed.restrictedDayOfWeek = parts[4] !== '*';
+  return parsed;
+};
+
+const matchesDay = (parsed, date) => {
+  const domMatch = parsed.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getUTCDay());
+  if (parsed.restrictedDayOfMonth && parsed.restrictedDayOfWeek) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+};
+
+// Next time strictly after `from` that matches the rule, or null if none within the search limit
+const nextOccurrence = (rule, from = new Date()) => {
+  const parsed = typeof rule === 'string' ? parseCron(rule) : rule;
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!parsed.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+// Shortest gap between the next `samples` occurrences, in milliseconds
+const minimumInterval = (rule, samples = 10, from = new Date()) => {
+  const parsed = parseCron(rule);
+  let previous = nextOccurrence(parsed, from);
+  let shortest = Infinity;
+
+  for (let i = 1; previous && i < samples; i++) {
+    const next = nextOccurrence(parsed, previous);
+    if (!next) break;
+    shortest = Math.min(shortest, next.getTime() - previous.getTime());
+    previous = next;
+  }
+  return shortest;
+};
+
+module.exports = {
+  parseCron,
+  nextOccurrence,
+  minimumInterval
+};
@@ -1,4 +1,8 @@
 const nodemailer = require('nodemailer');
+const { escapeHtml } = require('./search');
+
+// Plain text for a subject line: no line breaks or markup characters
+const plainSubjectText = (value) => String(value).replace(/[\r\n<>]+/g, ' ').trim();
 
 // Create transporter
 const createTransporter = () => {
@@ -79,6 +83,30 @@ const emailTemplates = {
     `
   }),
 
+  // Goes to addresses with no account, so everything the sender wrote is escaped
+  tokensWaiting: (data) => ({
+    subject: `${plainSubjectText(data.senderName)} sent you ${data.amount} tokens of gratitude! 🎁`,
+    html: `
+      <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">🎁 ${data.amount} tokens are waiting for you</h1>
+        </div>
+        
+        <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>From:</strong> ${escapeHtml(data.senderName)}</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Message:</strong> "${escapeHtml(data.message)}"</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px; text-align: center;"><a href="${data.claimUrl}" style="display: inline-block; background: white; color: #6C63FF; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: 600;">Claim my tokens</a></p>
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Create your free account with this email address by ${data.expiresAt} to receive them. After that they go back to ${escapeHtml(data.senderName)}.</p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px;">
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Gratitude, Made Effortless 💜</p>
+          <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks</p>
+        </div>
+      </div>
+    `
+  }),
+
   welcome: (data) => ({
     subject: 'Welcome to Token of Thanks! 🌟',
     html: `
@@ -101,18 +129,197 @@ const emailTemplates = {
     `
   }),
 
-  rewardRedeemed: (data) => ({
-    subject: 'Reward Redeemed Successfully! 🎁',
+  verifyEmail: (data) => ({
+    subject: 'Verify your Token of Thanks email ✉️',
+    html: `
+      <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">✉️ Confirm your email</h1>
+        </div>
+        
+        <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;">Hi ${data.firstName},</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;">Please confirm your email address to start sending tokens and redeeming rewards.</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px; text-align: center;"><a href="${data.verifyUrl}" style="display: inline-block; background: white; color: #6C63FF; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: 600;">Verify my email</a></p>
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">This link expires in ${data.expiresInHours} hours. If you didn't create an account, you can ignore this email.</p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px;">
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Gratitude, Made Effortless 💜</p>
+          <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks</p>
+        </div>
+      </div>
+    `
+  }),
+
+  passwordReset: (data) => ({
+    subject: 'Reset your Token of Thanks password 🔑',
+    html: `
+      <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">🔑 Reset your password</h1>
+        </div>
+        
+        <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;">Hi ${data.firstName},</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;">We received a request to reset your password. Click below to choose a new one.</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px; text-align: center;"><a href="${data.resetUrl}" style="display: inline-block; background: white; color: #6C63FF; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: 600;">Reset my password</a></p>
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">This link can be used once and expires in ${data.expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email.</p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px;">
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Gratitude, Made Effortless 💜</p>
+          <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks</p>
+        </div>
+      </div>
+    `
+  }),
+
+  accountLocked: (data) => ({
+    subject: 'Your Token of Thanks account was temporarily locked 🔒',
+    html: `
+      <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">🔒 Account temporarily locked</h1>
+        </div>
+        
+        <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;">Hi ${data.firstName},</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;">We noticed several failed sign-in attempts on your account, so we've paused sign-ins until <strong>${data.lockedUntil}</strong>.</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Last attempt from IP:</strong> ${data.ip}</p>
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">If this wasn't you, we recommend resetting your password and turning on two-factor authentication.</p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px;">
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Gratitude, Made Effortless 💜</p>
+          <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks</p>
+        </div>
+      </div>
+    `
+  }),
+
+  recurringSendSkipped: (data) => ({
+    subject: 'Your recurring thank-you was skipped ⏭️',
     html: `
       <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
         <div style="text-align: center; margin-bottom: 30px;">
-          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">🎁 Reward Redeemed!</h1>
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">⏭️ Recurring send skipped</h1>
         </div>
         
         <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;">Hi ${data.firstName},</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;">We couldn't send your recurring <strong>${data.amount} tokens</strong> to <strong>${data.recipientName}</strong>: ${data.reason}.</p>
+          <p style="margin: 0; font-size: 16px;"><strong>Next attempt:</strong> ${data.nextRunAt}</p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px;">
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Gratitude, Made Effortless 💜</p>
+          <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks</p>
+        </div>
+      </div>
+    `
+  }),
+
+  potReleased: (data) => ({
+    subject: `${data.contributorCount} people chipped in for you! 🎉`,
+    html: `
+      <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">🎉 ${data.title}</h1>
+        </div>
+        
+        <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;">Hi ${data.firstName},</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>${data.contributorCount}</strong> colleagues pooled <strong>${data.total} tokens</strong> for you. Their messages are in your transaction history.</p>
+          <p style="margin: 0; font-size: 16px;"><strong>Your new balance:</strong> ${data.newBalance} tokens</p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px;">
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Gratitude, Made Effortless 💜</p>
+          <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks</p>
+        </div>
+      </div>
+    `
+  }),
+
+  transactionReversed: (data) => ({
+    subject: 'A transaction on your account was reversed ↩️',
+    html: `
+      <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">↩️ Transaction reversed</h1>
+        </div>
+        
+        <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;">Hi ${data.firstName},</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;">An administrator reversed ${data.description}. <strong>${data.amount} tokens</strong> were ${data.credited ? 'returned to' : 'taken back from'} your balance.</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Reason:</strong> ${data.reason}</p>
+          <p style="margin: 0; font-size: 16px;"><strong>Your new balance:</strong> ${data.newBalance} tokens</p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px;">
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Gratitude, Made Effortless 💜</p>
+          <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks</p>
+        </div>
+      </div>
+    `
+  }),
+
+  monthlyStatement: (data) => ({
+    subject: `Your Token of Thanks statement for ${data.periodLabel} 📄`,
+    html: `
+      <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">📄 ${data.periodLabel}</h1>
+        </div>
+        
+        <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;">Hi ${data.firstName}, here is your statement for ${data.periodLabel}.</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Opening balance:</strong> ${data.openingBalance.earned} earned · ${data.openingBalance.give} to give</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Tokens in:</strong> ${data.credits} · <strong>Tokens out:</strong> ${data.debits}</p>
+          <p style="margin: 0; font-size: 16px;"><strong>Closing balance:</strong> ${data.closingBalance.earned} earned · ${data.closingBalance.give} to give</p>
+        </div>
+        
+        <div style="background: white; padding: 15px; border-radius: 10px; margin-bottom: 20px; overflow-x: auto;">
+          ${data.table}
+        </div>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.statementUrl}" style="background: white; color: #6C63FF; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: 600; display: inline-block;">View Printable Statement</a>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px;">
+          <p style="margin: 0; font-size: 14px; opacity: 0.9;">Gratitude, Made Effortless 💜</p>
+          <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.7;">Token of Thanks</p>
+        </div>
+      </div>
+    `
+  }),
+
+  // One template for every redemption status; `status` defaults to REQUESTED
+  rewardRedeemed: (data) => {
+    const copy = {
+      REQUESTED: { subject: 'Reward Redeemed Successfully! 🎁', heading: '🎁 Reward Redeemed!', text: 'We have your request and will let you know when it is on its way.' },
+      APPROVED: { subject: 'Your reward has been approved ✅', heading: '✅ Reward Approved', text: 'Your redemption was approved and is being prepared.' },
+      FULFILLED: { subject: 'Your reward has been delivered 🎉', heading: '🎉 Reward Delivered', text: 'Your reward has been delivered. Enjoy!' },
+      CANCELLED: { subject: 'Your redemption was cancelled', heading: '↩️ Redemption Cancelled', text: 'Your redemption was cancelled and the tokens are back in your balance.' },
+      REFUNDED: { subject: 'Your redemption was refunded', heading: '↩️ Redemption Refunded', text: 'Your redemption was refunded and the tokens are back in your balance.' }
+    }[data.status || 'REQUESTED'];
+
+    return {
+      subject: copy.subject,
+      html: `
+      <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%); padding: 20px; border-radius: 15px; color: white;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="margin: 0; font-size: 28px; font-weight: 600;">${copy.heading}</h1>
+        </div>
+        
+        <div style="background: rgba(255, 255, 255, 0.1); padding: 25px; border-radius: 10px; margin-bottom: 20px;">
+          <p style="margin: 0 0 15px 0; font-size: 16px;">${copy.text}</p>
           <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Reward:</strong> ${data.rewardName}</p>
-          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Tokens spent:</strong> ${data.tokensSpent}</p>
+          <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Tokens ${['CANCELLED', 'REFUNDED'].includes(data.status) ? 'returned' : 'spent'}:</strong> ${data.tokensSpent}</p>
           <p style="margin: 0 0 15px 0; font-size: 16px;"><strong>New balance:</strong> ${data.newBalance}</p>
+          ${data.note ? `<p style="margin: 0 0 15px 0; font-size: 16px;"><strong>Note:</strong> ${data.note}</p>` : ''}
           ${data.redemptionCode ? `<p style="margin: 0; font-size: 16px;"><strong>Redemption code:</strong> ${data.redemptionCode}</p>` : ''}
         </div>
         
@@ -122,7 +329,8 @@ const emailTemplates = {
         </div>
       </div>
     `
-  })
+    };
+  }
 };
 
 module.exports = {
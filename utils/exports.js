@@ -0,0 +1,100 @@
+// Streaming CSV and JSON downloads. Rows come from an async iterable and are
+// written as they arrive, waiting for the client whenever the socket's buffer
+// is full, so an export never holds the whole result in memory.
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Quote a CSV cell when needed; cells that a spreadsheet would run as a
+// formula (=, +, -, @) are prefixed with a quote
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  let text = Array.isArray(value) ? value.join(' ') : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Resolves once the chunk is written or buffered, or the client has gone
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+// Parse `from` and `to` query dates. A bare date as `to` (2024-03-31) includes
+// that whole day. Returns { from, to } or { error }.
+const parseDateRange = ({ from, to }) => {
+  const range = { from: null, to: null };
+  if (from) {
+    range.from = new Date(from);
+    if (isNaN(range.from)) return { error: 'from must be a valid date' };
+  }
+  if (to) {
+    range.to = new Date(to);
+    if (isNaN(range.to)) return { error: 'to must be a valid date' };
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) range.to = new Date(range.to.getTime() + 24 * 60 * 60 * 1000);
+  }
+  if (range.from && range.to && range.from >= range.to) {
+    return { error: 'from must be before to' };
+  }
+  return range;
+};
+
+// Stream rows as a CSV (one line per row from `columns`) or a JSON document
+// `{ success, ...meta(), rows: [...], ...summary() }`. meta runs once the
+// first row is ready and summary after the last, so either may depend on
+// state the row iterator fills in.
+const streamExport = async (res, { format, filename, columns, rows, meta = () => ({}), summary = () => ({}) }) => {
+  res.status(200);
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  const iterator = rows[Symbol.asyncIterator]();
+  let next = await iterator.next();
+
+  if (format === 'csv') {
+    await writeChunk(res, csvLine(columns.map(column => column.header)));
+  } else {
+    const head = JSON.stringify({ success: true, ...meta() });
+    await writeChunk(res, `${head.slice(0, -1)}${head.length > 2 ? ',' : ''}"rows":[`);
+  }
+
+  let first = true;
+  while (!next.done) {
+    if (res.destroyed) {
+      // Client went away; stop reading (closes the underlying cursor)
+      if (iterator.return) await iterator.return();
+      return;
+    }
+    const row = next.value;
+    await writeChunk(res, format === 'csv'
+      ? csvLine(columns.map(column => column.value(row)))
+      : `${first ? '' : ','}${JSON.stringify(row)}`);
+    first = false;
+    next = await iterator.next();
+  }
+
+  if (format === 'json') {
+    const tail = JSON.stringify(summary());
+    res.write(`]${tail.length > 2 ? `,${tail.slice(1)}` : '}'}`);
+  }
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseDateRange,
+  streamExport
+};
@@ -0,0 +1,76 @@
+const { processDueScheduledSends } = require('./scheduledSends');
+const { processDueRecurringSends } = require('./recurringSends');
+const { processDuePots } = require('./pots');
+const { refundExpiredClaims } = require('./claims');
+const { processAllowanceRefills } = require('./allowance');
+const { processMonthlyStatements } = require('./statements');
+
+// Background jobs. The long-running server runs them on an interval
+// (startJobs); serverless deployments trigger them through GET /api/jobs/:name.
+const jobs = {
+  'scheduled-sends': {
+    intervalMs: Number(process.env.SCHEDULED_SEND_INTERVAL_MS) || 60 * 1000,
+    run: processDueScheduledSends
+  },
+  'recurring-sends': {
+    intervalMs: Number(process.env.RECURRING_SEND_INTERVAL_MS) || 60 * 1000,
+    run: processDueRecurringSends
+  },
+  'pot-release': {
+    intervalMs: Number(process.env.POT_RELEASE_INTERVAL_MS) || 60 * 1000,
+    run: processDuePots
+  },
+  'claim-expiry': {
+    intervalMs: Number(process.env.CLAIM_EXPIRY_INTERVAL_MS) || 60 * 60 * 1000,
+    run: refundExpiredClaims
+  },
+  'give-allowance': {
+    intervalMs: Number(process.env.GIVE_ALLOWANCE_INTERVAL_MS) || 60 * 60 * 1000,
+    run: processAllowanceRefills
+  },
+  'monthly-statements': {
+    intervalMs: Number(process.env.STATEMENT_INTERVAL_MS) || 60 * 60 * 1000,
+    run: processMonthlyStatements
+  }
+};
+
+const running = new Set();
+
+// Run a job by name, skipping it if the previous run hasn't finished
+const runJob = async (name) => {
+  const job = jobs[name];
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (running.has(name)) {
+    return { skipped: true };
+  }
+
+  running.add(name);
+  try {
+    return await job.run();
+  } finally {
+    running.delete(name);
+  }
+};
+
+// Start every job on its interval; set JOBS_ENABLED=false to run them elsewhere
+const startJobs = () => {
+  if ((process.env.JOBS_ENABLED || 'true').trim().toLowerCase() === 'false') {
+    console.log('⏰ Background jobs disabled');
+    return;
+  }
+
+  Object.entries(jobs).forEach(([name, job]) => {
+    setInterval(() => {
+      runJob(name).catch(error => console.error(`❌ Job ${name} failed:`, error));
+    }, job.intervalMs).unref();
+  });
+  console.log(`⏰ Background jobs started: ${Object.keys(jobs).join(', ')}`);
+};
+
+module.exports = {
+  jobs,
+  runJob,
+  startJobs
+};
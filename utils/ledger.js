@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+
+// Thrown inside a ledger transaction to abort it; routes map `code` to a response
+class LedgerError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+  }
+}
+
+// Run fn(session) inside a MongoDB transaction, retrying transient errors.
+// Everything written with the session commits or rolls back together.
+const withTransaction = async (fn) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
+// Each user has two buckets: GIVE, the periodic allowance used for giving,
+// and EARNED, fed by received tokens and spent on rewards
+const BALANCE_FIELDS = {
+  GIVE: 'giveBalance',
+  EARNED: 'tokenBalance'
+};
+
+const balanceField = (bucket = 'EARNED') => BALANCE_FIELDS[bucket];
+
+// Take tokens from a user; the balance check and update are one atomic operation
+const debitUser = async (session, userId, amount, bucket = 'EARNED') => {
+  const field = balanceField(bucket);
+  const user = await User.findOneAndUpdate(
+    { _id: userId, [field]: { $gte: amount } },
+    { $inc: { [field]: -amount } },
+    { new: true, session }
+  );
+  if (!user) {
+    const exists = await User.exists({ _id: userId }).session(session);
+    throw exists
+      ? new LedgerError('INSUFFICIENT_BALANCE', 'Insufficient token balance')
+      : new LedgerError('ACCOUNT_NOT_FOUND', 'User not found');
+  }
+  return user;
+};
+
+// Give tokens to a user
+const creditUser = async (session, userId, amount, bucket = 'EARNED') => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { [balanceField(bucket)]: amount } },
+    { new: true, session }
+  );
+  if (!user) {
+    throw new LedgerError('ACCOUNT_NOT_FOUND', 'User not found');
+  }
+  return user;
+};
+
+// Write the entries of one journal; rejects postings whose debits and credits differ.
+// legs: [{ user | system, bucket (user legs, default EARNED), direction: 'DEBIT' | 'CREDIT', amount }]
+const postEntries = async (session, { kind, transactionId = null, legs }) => {
+  const total = (direction) => legs
+    .filter(leg => leg.direction === direction)
+    .reduce((sum, leg) => sum + leg.amount, 0);
+
+  if (legs.length < 2 || total('DEBIT') !== total('CREDIT')) {
+    throw new LedgerError('UNBALANCED', 'Ledger posting is not balanced');
+  }
+
+  const journalId = new mongoose.Types.ObjectId();
+  return await LedgerEntry.insertMany(legs.map(leg => ({
+    journalId,
+    transaction: transactionId,
+    kind,
+    account: leg.user || null,
+    bucket: leg.user ? leg.bucket || 'EARNED' : null,
+    systemAccount: leg.system || null,
+    direction: leg.direction,
+    amount: leg.amount
+  })), { session });
+};
+
+// Move `amount` from one account to another and record both legs.
+// `from` / `to` are { user: userId, bucket } (bucket defaults to EARNED)
+// or { system: 'PURCHASES' | ... }.
+// Returns { from, to } with the updated user documents (null for system accounts).
+const moveTokens = async (session, { kind, transactionId, from, to, amount }) => {
+  const fromUser = from.user ? await debitUser(session, from.user, amount, from.bucket) : null;
+  const toUser = to.user ? await creditUser(session, to.user, amount, to.bucket) : null;
+
+  await postEntries(session, {
+    kind,
+    transactionId,
+    legs: [
+      { ...from, direction: 'DEBIT', amount },
+      { ...to, direction: 'CREDIT', amount }
+    ]
+  });
+
+  return { from: fromUser, to: toUser };
+};
+
+// Recompute every user's bucket balances from the ledger and compare them
+// with the User document. Also checks that every journal balances.
+// Returns { usersChecked, drift: [...], unbalancedJournals: [...] }.
+const reconcile = async () => {
+  const ledgerBalances = new Map();
+  const sums = await LedgerEntry.aggregate([
+    { $match: { account: { $ne: null } } },
+    {
+      $group: {
+        // Entries from before buckets existed have no bucket and count as EARNED
+        _id: { account: '$account', bucket: { $ifNull: ['$bucket', 'EARNED'] } },
+        balance: {
+          $sum: { $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', { $multiply: ['$amount', -1] }] }
+        }
+      }
+    }
+  ]);
+  sums.forEach(row => ledgerBalances.set(`${row._id.account}:${row._id.bucket}`, row.balance));
+
+  const drift = [];
+  let usersChecked = 0;
+  const cursor = User.find().select('email tokenBalance giveBalance').lean().cursor();
+  for await (const user of cursor) {
+    usersChecked += 1;
+    Object.entries(BALANCE_FIELDS).forEach(([bucket, field]) => {
+      const balance = user[field] || 0;
+      const ledgerBalance = ledgerBalances.get(`${user._id}:${bucket}`) || 0;
+      if (ledgerBalance !== balance) {
+        drift.push({
+          userId: user._id,
+          email: user.email,
+          bucket,
+          balance,
+          ledgerBalance,
+          difference: balance - ledgerBalance
+        });
+      }
+    });
+  }
+
+  const unbalancedJournals = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: '$journalId',
+        net: {
+          $sum: { $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', { $multiply: ['$amount', -1] }] }
+        }
+      }
+    },
+    { $match: { net: { $ne: 0 } } }
+  ]);
+
+  return { usersChecked, drift, unbalancedJournals };
+};
+
+// Migration for balances that predate the ledger: for every user whose
+// ledger doesn't add up to their balances, post an opening balance for the
+// difference in each bucket. This also covers users who were already in the
+// ledger for part of their history (a send received before the backfill ran).
+// Each user's balances and ledger are read in one transaction, so a transfer
+// landing at the same time is never counted twice. Returns the number of users posted for.
+const backfillOpeningBalances = async () => {
+  let posted = 0;
+  const cursor = User.find().select('_id').lean().cursor();
+  for await (const { _id } of cursor) {
+    const didPost = await withTransaction(async (session) => {
+      const user = await User.findById(_id).select('tokenBalance giveBalance').session(session);
+      if (!user) return false;
+
+      const sums = await LedgerEntry.aggregate([
+        { $match: { account: _id } },
+        {
+          $group: {
+            // Entries from before buckets existed have no bucket and count as EARNED
+            _id: { $ifNull: ['$bucket', 'EARNED'] },
+            balance: {
+              $sum: { $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', { $multiply: ['$amount', -1] }] }
+            }
+          }
+        }
+      ]).session(session);
+      const ledgerBalances = Object.fromEntries(sums.map(row => [row._id, row.balance]));
+
+      const legs = [];
+      Object.entries(BALANCE_FIELDS).forEach(([bucket, field]) => {
+        const difference = (user[field] || 0) - (ledgerBalances[bucket] || 0);
+        if (difference === 0) return;
+        const credit = difference > 0;
+        legs.push(
+          { system: 'ISSUANCE', direction: credit ? 'DEBIT' : 'CREDIT', amount: Math.abs(difference) },
+          { user: user._id, bucket, direction: credit ? 'CREDIT' : 'DEBIT', amount: Math.abs(difference) }
+        );
+      });
+      if (!legs.length) return false;
+
+      await postEntries(session, { kind: 'OPENING_BALANCE', legs });
+      return true;
+    });
+    if (didPost) posted += 1;
+  }
+
+  return posted;
+};
+
+module.exports = {
+  LedgerError,
+  balanceField,
+  withTransaction,
+  debitUser,
+  creditUser,
+  postEntries,
+  moveTokens,
+  reconcile,
+  backfillOpeningBalances
+};
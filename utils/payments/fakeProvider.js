@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Built-in payment provider for local development and end-to-end tests.
+// No money moves: payments stay pending until a signed webhook reports the
+// outcome (see POST /api/payments/fake/complete). It is not available in
+// production unless ENABLE_FAKE_PAYMENTS=true.
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Fail closed: without a configured secret no webhook can be signed or verified
+const getSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+  return secret;
+};
+
+// Signature header format: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+const sign = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  const hmac = crypto.createHmac('sha256', getSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+};
+
+const fakeProvider = {
+  name: 'fake',
+
+  // Start a payment; returns { providerPaymentId, status }
+  async createPayment({ amountCents, currency, reference }) {
+    return {
+      providerPaymentId: `fake_pi_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'pending',
+      amountCents,
+      currency,
+      reference
+    };
+  },
+
+  // Verify a webhook and return the parsed event, or throw if the signature is bad.
+  // Event shape: { id, type: 'payment.succeeded' | 'payment.failed', providerPaymentId, failureReason }
+  verifyWebhook(rawBody, headers) {
+    const header = headers['x-payment-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(sign(rawBody, timestamp).split('v1=')[1]);
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody);
+  },
+
+  // Build a signed webhook request, as the real provider would send it
+  buildWebhook({ type, providerPaymentId, failureReason = null }) {
+    const rawBody = JSON.stringify({
+      id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      providerPaymentId,
+      failureReason
+    });
+    return { rawBody, headers: { 'x-payment-signature': sign(rawBody) } };
+  }
+};
+
+module.exports = fakeProvider;
@@ -0,0 +1,105 @@
+const User = require('../../models/User');
+const TokenTransaction = require('../../models/TokenTransaction');
+const { withTransaction, moveTokens } = require('../ledger');
+const fakeProvider = require('./fakeProvider');
+
+// Payment providers implement:
+//   name                                   - identifier stored on purchases
+//   createPayment({ amountCents, currency, reference, userId })
+//                                          -> { providerPaymentId, status, ... }
+//   verifyWebhook(rawBody, headers)        -> event, throws on bad signature
+// Register new providers here and select one with PAYMENT_PROVIDER.
+const providers = {};
+
+// The fake provider settles whatever a correctly signed webhook says, so it is
+// only registered in production when explicitly enabled
+const isFakeProviderEnabled = () =>
+  process.env.NODE_ENV !== 'production' || process.env.ENABLE_FAKE_PAYMENTS === 'true';
+
+const getProviders = () => ({
+  ...providers,
+  ...(isFakeProviderEnabled() ? { [fakeProvider.name]: fakeProvider } : {})
+});
+
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const provider = getProviders()[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Token pricing, configurable through the environment
+const getPricing = () => ({
+  tokenPriceCents: Number(process.env.TOKEN_PRICE_CENTS) || 10,
+  currency: (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase(),
+  maxTokensPerPurchase: Number(process.env.MAX_TOKENS_PER_PURCHASE) || 10000
+});
+
+// Apply a verified provider event to its pending purchase.
+// Returns { outcome, transaction } where outcome is one of
+// COMPLETED, FAILED, IGNORED (already settled or unknown event) or NOT_FOUND.
+const processPaymentEvent = async (providerName, event) => {
+  const match = {
+    transactionType: 'PURCHASE',
+    'metadata.provider': providerName,
+    'metadata.providerPaymentId': event.providerPaymentId
+  };
+
+  const purchase = await TokenTransaction.findOne(match);
+  if (!purchase) {
+    return { outcome: 'NOT_FOUND', transaction: null };
+  }
+
+  if (event.type === 'payment.succeeded') {
+    // Only the request that flips PENDING -> COMPLETED credits the balance,
+    // so webhook retries can never credit twice; both happen in one transaction
+    const completed = await withTransaction(async (session) => {
+      const flipped = await TokenTransaction.findOneAndUpdate(
+        { _id: purchase._id, status: 'PENDING' },
+        { $set: { status: 'COMPLETED', 'metadata.completedAt': new Date(), 'metadata.eventId': event.id } },
+        { new: true, session }
+      );
+      if (!flipped) return null;
+
+      // Bought tokens are for giving, so they can't be redeemed for rewards
+      // directly; they are tracked so the monthly allowance expiry skips them
+      await moveTokens(session, {
+        kind: 'PURCHASE',
+        transactionId: flipped._id,
+        from: { system: 'PURCHASES' },
+        to: { user: flipped.recipient, bucket: 'GIVE' },
+        amount: flipped.amount
+      });
+      await User.updateOne(
+        { _id: flipped.recipient },
+        { $inc: { purchasedGiveBalance: flipped.amount } },
+        { session }
+      );
+      return flipped;
+    });
+
+    if (!completed) {
+      return { outcome: 'IGNORED', transaction: purchase };
+    }
+    return { outcome: 'COMPLETED', transaction: completed };
+  }
+
+  if (event.type === 'payment.failed') {
+    const failed = await TokenTransaction.findOneAndUpdate(
+      { _id: purchase._id, status: 'PENDING' },
+      { $set: { status: 'FAILED', 'metadata.failureReason': event.failureReason || 'Payment declined', 'metadata.eventId': event.id } },
+      { new: true }
+    );
+    return { outcome: failed ? 'FAILED' : 'IGNORED', transaction: failed || purchase };
+  }
+
+  return { outcome: 'IGNORED', transaction: purchase };
+};
+
+module.exports = {
+  getProvider,
+  isFakeProviderEnabled,
+  getPricing,
+  processPaymentEvent
+};
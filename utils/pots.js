@@ -0,0 +1,129 @@
+const User = require('../models/User');
+const Pot = require('../models/Pot');
+const TokenTransaction = require('../models/TokenTransaction');
+const { withTransaction, moveTokens } = require('./ledger');
+const { sendEmail, emailTemplates } = require('./email');
+
+// Return every pending pledge of a pot from escrow to the people who made it
+const refundPledges = async (session, pot) => {
+  const pledges = await TokenTransaction.find({ pot: pot._id, status: 'PENDING' }).session(session);
+  for (const pledge of pledges) {
+    await moveTokens(session, {
+      kind: 'ESCROW_RELEASE',
+      transactionId: pledge._id,
+      from: { system: 'ESCROW' },
+      to: { user: pledge.sender, bucket: pledge.sourceBucket },
+      amount: pledge.amount
+    });
+  }
+  await TokenTransaction.updateMany(
+    { pot: pot._id, status: 'PENDING' },
+    { $set: { status: 'CANCELLED', 'metadata.cancelledAt': new Date() } },
+    { session }
+  );
+  return pledges.length;
+};
+
+// Cancel an open pot and refund every pledge. Returns the pot, or null if it wasn't open.
+const cancelPot = async (potId, reason) => {
+  return await withTransaction(async (session) => {
+    const pot = await Pot.findOneAndUpdate(
+      { _id: potId, status: 'OPEN' },
+      { $set: { status: 'CANCELLED', closedAt: new Date(), cancelReason: reason || null } },
+      { new: true, session }
+    );
+    if (!pot) return null;
+
+    await refundPledges(session, pot);
+    return pot;
+  });
+};
+
+// Pay every pledge of an open pot out of escrow to its recipient.
+// With dueOnly, pots whose deadline hasn't passed are left alone.
+// Returns RELEASED, CANCELLED (recipient gone, pledges refunded) or SKIPPED.
+const releasePot = async (potId, { dueOnly = false } = {}) => {
+  const result = await withTransaction(async (session) => {
+    // Flipping the status inside the transaction means a pot can only be paid out once
+    const pot = await Pot.findOneAndUpdate(
+      { _id: potId, status: 'OPEN', ...(dueOnly && { deadline: { $lte: new Date() } }) },
+      { $set: { status: 'RELEASED', closedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!pot) return { outcome: 'SKIPPED' };
+
+    const recipientExists = await User.exists({ _id: pot.recipient }).session(session);
+    if (!recipientExists) {
+      pot.status = 'CANCELLED';
+      pot.cancelReason = 'Recipient no longer exists';
+      await pot.save({ session });
+      await refundPledges(session, pot);
+      return { outcome: 'CANCELLED', pot };
+    }
+
+    const pledges = await TokenTransaction.find({ pot: pot._id, status: 'PENDING' }).session(session);
+    let recipient = null;
+    for (const pledge of pledges) {
+      const balances = await moveTokens(session, {
+        kind: 'SEND',
+        transactionId: pledge._id,
+        from: { system: 'ESCROW' },
+        to: { user: pot.recipient, bucket: 'EARNED' },
+        amount: pledge.amount
+      });
+      recipient = balances.to;
+    }
+    await TokenTransaction.updateMany(
+      { pot: pot._id, status: 'PENDING' },
+      { $set: { status: 'COMPLETED', 'metadata.executedAt': new Date() } },
+      { session }
+    );
+
+    const contributorCount = new Set(pledges.map(pledge => pledge.sender.toString())).size;
+    return { outcome: 'RELEASED', pot, recipient, contributorCount };
+  });
+
+  if (result.outcome === 'RELEASED' && result.recipient) {
+    try {
+      await sendEmail({
+        to: result.recipient.email,
+        ...emailTemplates.potReleased({
+          firstName: result.recipient.firstName,
+          title: result.pot.title,
+          total: result.pot.totalPledged,
+          contributorCount: result.contributorCount,
+          newBalance: result.recipient.tokenBalance
+        })
+      });
+    } catch (emailError) {
+      console.error('Pot released email failed:', emailError);
+    }
+  }
+
+  return result.outcome;
+};
+
+// Release every open pot whose deadline has passed
+const processDuePots = async (limit = 50) => {
+  const due = await Pot.find({ status: 'OPEN', deadline: { $lte: new Date() } })
+    .select('_id')
+    .sort({ deadline: 1 })
+    .limit(limit);
+
+  const summary = { RELEASED: 0, CANCELLED: 0, SKIPPED: 0, ERROR: 0 };
+  for (const { _id } of due) {
+    try {
+      summary[await releasePot(_id, { dueOnly: true })] += 1;
+    } catch (error) {
+      console.error(`Pot ${_id} release failed:`, error);
+      summary.ERROR += 1;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  cancelPot,
+  releasePot,
+  processDuePots
+};
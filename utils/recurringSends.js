@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const TokenTransaction = require('../models/TokenTransaction');
+const RecurringSend = require('../models/RecurringSend');
+const { LedgerError, withTransaction, moveTokens } = require('./ledger');
+const { nextOccurrence } = require('./cron');
+const { notifyRecipient } = require('./transfers');
+const { resolveTags } = require('./tags');
+const { SendPolicyError, enforceSendPolicy, flagForReview } = require('./sendPolicy');
+const { sendEmail, emailTemplates } = require('./email');
+
+const SKIP_REASONS = {
+  SKIPPED_INSUFFICIENT_BALANCE: 'your giving allowance was too low',
+  SKIPPED_RECIPIENT_UNAVAILABLE: 'the recipient\'s account is no longer available',
+  SKIPPED_OWNER_UNAVAILABLE: 'your account is not able to send tokens right now',
+  SKIPPED_SEND_POLICY: 'it would go over your sending limits'
+};
+
+// Advance a run without sending and tell the owner why (`detail` overrides the stock reason)
+const skipRun = async (recurring, runAt, nextRunAt, lastResult, { owner, recipient, detail = null }) => {
+  const skipped = await RecurringSend.findOneAndUpdate(
+    { _id: recurring._id, status: 'ACTIVE', nextRunAt: runAt },
+    {
+      $set: { nextRunAt, lastRunAt: new Date(), lastResult },
+      $inc: { skipCount: 1 }
+    },
+    { new: true }
+  );
+  if (!skipped || !owner) return 'SKIPPED';
+
+  try {
+    await sendEmail({
+      to: owner.email,
+      ...emailTemplates.recurringSendSkipped({
+        firstName: owner.firstName,
+        amount: recurring.amount,
+        recipientName: recipient ? recipient.fullName : 'a former colleague',
+        reason: detail || SKIP_REASONS[lastResult],
+        nextRunAt: nextRunAt ? nextRunAt.toUTCString() : 'none scheduled'
+      })
+    });
+  } catch (emailError) {
+    console.error('Recurring send skipped email failed:', emailError);
+  }
+  return 'SKIPPED';
+};
+
+// Execute one due recurring send as a normal SEND transaction.
+// Returns SENT, SKIPPED or CLAIMED_ELSEWHERE (another runner got there first).
+const runRecurringSend = async (recurring) => {
+  const runAt = recurring.nextRunAt;
+  // Missed runs (e.g. downtime) are not caught up; the schedule resumes from now
+  const nextRunAt = nextOccurrence(recurring.cronRule, new Date());
+
+  const [owner, recipient] = await Promise.all([
+    User.findById(recurring.owner),
+    User.findById(recurring.recipient)
+  ]);
+
+  if (!owner || owner.isSuspended) {
+    return await skipRun(recurring, runAt, nextRunAt, 'SKIPPED_OWNER_UNAVAILABLE', { owner, recipient });
+  }
+  if (!recipient || recipient.isSuspended) {
+    return await skipRun(recurring, runAt, nextRunAt, 'SKIPPED_RECIPIENT_UNAVAILABLE', { owner, recipient });
+  }
+
+  const message = recurring.renderMessage({ sender: owner, recipient, date: runAt });
+  // Values retired since the send was set up are dropped rather than failing the run
+  const { tags } = await resolveTags(message);
+
+  let result;
+  try {
+    result = await withTransaction(async (session) => {
+      // Claiming the run in the same transaction as the transfer means it happens exactly once
+      const claimed = await RecurringSend.findOneAndUpdate(
+        { _id: recurring._id, status: 'ACTIVE', nextRunAt: runAt },
+        {
+          $set: { nextRunAt, lastRunAt: new Date(), lastResult: 'SENT' },
+          $inc: { runCount: 1 }
+        },
+        { new: true, session }
+      );
+      if (!claimed) return null;
+
+      // Each run is held to the sending limits like any other send
+      const violations = await enforceSendPolicy(session, {
+        senderId: owner._id,
+        recipientId: recipient._id,
+        amount: recurring.amount
+      });
+
+      const [transaction] = await TokenTransaction.create([{
+        sender: owner._id,
+        recipient: recipient._id,
+        amount: recurring.amount,
+        message,
+        transactionType: 'SEND',
+        fundingBucket: 'GIVE',
+        tags,
+        visibility: owner.defaultVisibility,
+        metadata: { recurringSendId: recurring._id }
+      }], { session });
+
+      const balances = await moveTokens(session, {
+        kind: 'SEND',
+        transactionId: transaction._id,
+        from: { user: owner._id, bucket: 'GIVE' },
+        to: { user: recipient._id, bucket: 'EARNED' },
+        amount: recurring.amount
+      });
+      await flagForReview(session, transaction, violations);
+      return { transaction, recipient: balances.to };
+    });
+  } catch (ledgerError) {
+    if (ledgerError instanceof SendPolicyError) {
+      const detail = `it would go over your sending limits (${ledgerError.message})`;
+      return await skipRun(recurring, runAt, nextRunAt, 'SKIPPED_SEND_POLICY', { owner, recipient, detail });
+    }
+    if (ledgerError instanceof LedgerError && ledgerError.code === 'INSUFFICIENT_BALANCE') {
+      return await skipRun(recurring, runAt, nextRunAt, 'SKIPPED_INSUFFICIENT_BALANCE', { owner, recipient });
+    }
+    throw ledgerError;
+  }
+
+  if (!result) return 'CLAIMED_ELSEWHERE';
+
+  await notifyRecipient({
+    sender: owner,
+    recipient: result.recipient,
+    amount: recurring.amount,
+    message
+  });
+  return 'SENT';
+};
+
+// Run every active recurring send that has come due
+const processDueRecurringSends = async (limit = 100) => {
+  const due = await RecurringSend.find({
+    status: 'ACTIVE',
+    nextRunAt: { $lte: new Date() }
+  })
+  .sort({ nextRunAt: 1 })
+  .limit(limit);
+
+  const summary = { SENT: 0, SKIPPED: 0, CLAIMED_ELSEWHERE: 0, ERROR: 0 };
+  for (const recurring of due) {
+    try {
+      summary[await runRecurringSend(recurring)] += 1;
+    } catch (error) {
+      console.error(`Recurring send ${recurring._id} failed:`, error);
+      summary.ERROR += 1;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  runRecurringSend,
+  processDueRecurringSends
+};
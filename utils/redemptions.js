@@ -0,0 +1,96 @@
+const User = require('../models/User');
+const Reward = require('../models/Reward');
+const Redemption = require('../models/Redemption');
+const { LedgerError, withTransaction } = require('./ledger');
+const { reverseTransaction } = require('./reversals');
+const { sendEmail, emailTemplates } = require('./email');
+
+// Where a redemption can go from each status. Cancelling returns the tokens
+// and the stock; refunding a fulfilled one returns only the tokens.
+const TRANSITIONS = {
+  REQUESTED: ['APPROVED', 'CANCELLED'],
+  APPROVED: ['FULFILLED', 'CANCELLED'],
+  FULFILLED: ['REFUNDED'],
+  CANCELLED: [],
+  REFUNDED: []
+};
+
+// Email the redeemer about their redemption's status; never throws
+const notifyRedemption = async (redemption, user, { redemptionCode = null, note = null } = {}) => {
+  try {
+    await sendEmail({
+      to: user.email,
+      ...emailTemplates.rewardRedeemed({
+        status: redemption.status,
+        rewardName: redemption.rewardName,
+        tokensSpent: redemption.tokenCost,
+        newBalance: user.tokenBalance,
+        redemptionCode,
+        note
+      })
+    });
+  } catch (emailError) {
+    console.error('Redemption email failed:', emailError);
+  }
+};
+
+// Move a redemption to `status`, recording who did it. Cancelling and
+// refunding reverse the REDEEM transaction in the same MongoDB transaction.
+// Approving or fulfilling reveals the reward's redemption code in the email;
+// cancelling after that leaves the stock alone, since the code is spent.
+// `audit(session, redemption)` runs inside that transaction too.
+// Throws LedgerError NOT_FOUND or INVALID_TRANSITION (or a reversal error).
+const transitionRedemption = async (redemptionId, { status, actorId, note = null, audit }) => {
+  const current = await Redemption.findById(redemptionId);
+  if (!current) {
+    throw new LedgerError('NOT_FOUND', 'Redemption not found');
+  }
+  if (!TRANSITIONS[current.status].includes(status)) {
+    throw new LedgerError('INVALID_TRANSITION', `A ${current.status} redemption cannot be ${status}`);
+  }
+
+  const reveal = ['APPROVED', 'FULFILLED'].includes(status);
+
+  // The status condition stops two requests moving the same redemption at once
+  const advance = async (session) => {
+    const updated = await Redemption.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      {
+        $set: { status, ...(reveal && !current.codeRevealedAt && { codeRevealedAt: new Date() }) },
+        $push: { statusHistory: { status, at: new Date(), by: actorId, note } }
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new LedgerError('INVALID_TRANSITION', 'This redemption was changed by someone else; reload and try again');
+    }
+    if (audit) await audit(session, updated);
+    return updated;
+  };
+
+  let redemption;
+  if (status === 'CANCELLED' || status === 'REFUNDED') {
+    await reverseTransaction(current.transaction, {
+      reason: note || `Redemption of ${current.rewardName} ${status.toLowerCase()}`,
+      // A delivered reward, or one whose code was handed out, isn't back on the shelf
+      restoreStock: status === 'CANCELLED' && !current.codeRevealedAt,
+      notify: false,
+      audit: async (session) => {
+        redemption = await advance(session);
+      }
+    });
+  } else {
+    redemption = await withTransaction(advance);
+  }
+
+  const user = await User.findById(redemption.user).select('email firstName tokenBalance');
+  const reward = reveal ? await Reward.findById(redemption.reward).select('redemptionCode') : null;
+  if (user) await notifyRedemption(redemption, user, { note, redemptionCode: reward ? reward.redemptionCode : null });
+  return redemption;
+};
+
+module.exports = {
+  TRANSITIONS,
+  notifyRedemption,
+  transitionRedemption
+};
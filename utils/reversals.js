@@ -0,0 +1,148 @@
+const User = require('../models/User');
+const Reward = require('../models/Reward');
+const TokenTransaction = require('../models/TokenTransaction');
+const { LedgerError, balanceField, withTransaction, moveTokens } = require('./ledger');
+const { sendEmail, emailTemplates } = require('./email');
+
+// Undo a completed SEND or REDEEM with a compensating REVERSAL transaction.
+// A send is paid back by its recipient; if they have already spent some of
+// it, whatever they still hold is returned (a partial reversal). A redemption
+// is refunded from REDEMPTIONS, and its stock is restored once the whole
+// amount is back. A partly refunded redemption can be reversed again for the rest.
+//
+// `amount` defaults to everything not yet returned. `audit(session, result)` runs
+// inside the same MongoDB transaction. Pass restoreStock: false to leave a
+// redeemed reward's stock alone, and notify: false to skip the emails. Throws LedgerError NOT_FOUND,
+// NOT_REVERSIBLE, INVALID_AMOUNT or INSUFFICIENT_BALANCE.
+// Returns { original, reversal, partial }.
+const reverseTransaction = async (transactionId, { amount, reason, audit, restoreStock = true, notify = true }) => {
+  const result = await withTransaction(async (session) => {
+    const original = await TokenTransaction.findById(transactionId).session(session);
+    if (!original) {
+      throw new LedgerError('NOT_FOUND', 'Transaction not found');
+    }
+    if (!['SEND', 'REDEEM'].includes(original.transactionType)) {
+      throw new LedgerError('NOT_REVERSIBLE', 'Only sends and reward redemptions can be reversed');
+    }
+    const originalAmount = Math.abs(original.amount);
+    const alreadyReversed = original.reversedAmount || 0;
+    const refundable = original.transactionType === 'REDEEM' && original.status === 'REVERSED' && alreadyReversed < originalAmount;
+    if (original.status !== 'COMPLETED' && !refundable) {
+      throw new LedgerError('NOT_REVERSIBLE', original.status === 'REVERSED'
+        ? 'This transaction has already been reversed'
+        : `Only completed transactions can be reversed (this one is ${original.status})`);
+    }
+
+    const remaining = originalAmount - alreadyReversed;
+    const requested = amount === undefined ? remaining : amount;
+    if (requested < 1 || requested > remaining) {
+      throw new LedgerError('INVALID_AMOUNT', `Amount must be between 1 and ${remaining}`);
+    }
+
+    let from;
+    let to;
+    let reversible = requested;
+    if (original.transactionType === 'SEND') {
+      const payer = await User.findById(original.recipient).session(session);
+      if (!payer) {
+        throw new LedgerError('NOT_FOUND', 'The recipient no longer exists');
+      }
+      reversible = Math.min(requested, payer.tokenBalance);
+      if (reversible < 1) {
+        throw new LedgerError('INSUFFICIENT_BALANCE', 'The recipient has no tokens left to return');
+      }
+      // Received tokens sit in the recipient's earned balance; they go back to
+      // whichever bucket originally paid for the send
+      from = { user: original.recipient, bucket: 'EARNED' };
+      to = { user: original.sender, bucket: original.sourceBucket };
+    } else {
+      from = { system: 'REDEMPTIONS' };
+      to = { user: original.sender, bucket: 'EARNED' };
+      if (restoreStock && requested === remaining && original.metadata && original.metadata.rewardId) {
+        await Reward.updateOne(
+          { _id: original.metadata.rewardId, stock: { $ne: -1 } },
+          { $inc: { stock: 1 } },
+          { session }
+        );
+      }
+    }
+
+    const [reversal] = await TokenTransaction.create([{
+      sender: from.user || original.sender,
+      recipient: to.user,
+      amount: reversible,
+      message: `Reversal: ${reason}`.slice(0, 500),
+      transactionType: 'REVERSAL',
+      reverses: original._id,
+      metadata: { reason, originalAmount, requestedAmount: requested }
+    }], { session });
+
+    const balances = await moveTokens(session, {
+      kind: 'REVERSAL',
+      transactionId: reversal._id,
+      from,
+      to,
+      amount: reversible
+    });
+
+    // Matching what was read stops two admins reversing the same transaction
+    const marked = await TokenTransaction.findOneAndUpdate(
+      { _id: original._id, status: original.status, reversedAmount: original.reversedAmount ?? null },
+      { $set: { status: 'REVERSED', reversedBy: reversal._id }, $inc: { reversedAmount: reversible } },
+      { new: true, session }
+    );
+    if (!marked) {
+      throw new LedgerError('NOT_REVERSIBLE', 'This transaction has already been reversed');
+    }
+
+    const outcome = {
+      original: marked,
+      reversal,
+      partial: reversible < requested,
+      payer: balances.from,
+      payee: balances.to,
+      payeeBucket: to.bucket
+    };
+    if (audit) await audit(session, outcome);
+    return outcome;
+  });
+
+  if (notify) await notifyReversal(result, reason);
+
+  const { original, reversal, partial } = result;
+  return { original, reversal, partial };
+};
+
+// Email everyone whose balance the reversal changed; never throws
+const notifyReversal = async ({ original, reversal, payer, payee, payeeBucket }, reason) => {
+  const description = original.transactionType === 'REDEEM'
+    ? `your reward redemption "${original.message}"`
+    : `a transfer of ${Math.abs(original.amount)} tokens from ${original.createdAt.toDateString()}`;
+
+  const notices = [
+    payee && { user: payee, credited: true, bucket: payeeBucket },
+    payer && { user: payer, credited: false, bucket: 'EARNED' }
+  ].filter(Boolean);
+
+  for (const { user, credited, bucket } of notices) {
+    try {
+      await sendEmail({
+        to: user.email,
+        ...emailTemplates.transactionReversed({
+          firstName: user.firstName,
+          description,
+          amount: reversal.amount,
+          credited,
+          reason,
+          newBalance: user[balanceField(bucket)]
+        })
+      });
+    } catch (emailError) {
+      console.error('Reversal email failed:', emailError);
+    }
+  }
+};
+
+module.exports = {
+  reverseTransaction
+};
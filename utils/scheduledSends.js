@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const TokenTransaction = require('../models/TokenTransaction');
+const { withTransaction, moveTokens } = require('./ledger');
+const { notifyRecipient } = require('./transfers');
+
+// Deliver one due scheduled send from escrow to its recipient.
+// Returns COMPLETED, FAILED (recipient gone, tokens returned to sender) or SKIPPED.
+const executeScheduledSend = async (transactionId) => {
+  const result = await withTransaction(async (session) => {
+    // Flipping the status inside the transaction means a send can only be delivered once
+    const transaction = await TokenTransaction.findOneAndUpdate(
+      { _id: transactionId, status: 'PENDING', transactionType: 'SEND', scheduledFor: { $lte: new Date() } },
+      { $set: { status: 'COMPLETED', 'metadata.executedAt': new Date() } },
+      { new: true, session }
+    );
+    if (!transaction) return { outcome: 'SKIPPED' };
+
+    const recipientExists = await User.exists({ _id: transaction.recipient }).session(session);
+    if (!recipientExists) {
+      transaction.status = 'FAILED';
+      transaction.metadata = { ...transaction.metadata, failureReason: 'Recipient no longer exists' };
+      await transaction.save({ session });
+      await moveTokens(session, {
+        kind: 'ESCROW_RELEASE',
+        transactionId: transaction._id,
+        from: { system: 'ESCROW' },
+        to: { user: transaction.sender, bucket: transaction.sourceBucket },
+        amount: transaction.amount
+      });
+      return { outcome: 'FAILED', transaction };
+    }
+
+    const balances = await moveTokens(session, {
+      kind: 'SEND',
+      transactionId: transaction._id,
+      from: { system: 'ESCROW' },
+      to: { user: transaction.recipient, bucket: 'EARNED' },
+      amount: transaction.amount
+    });
+    return { outcome: 'COMPLETED', transaction, recipient: balances.to };
+  });
+
+  if (result.outcome === 'COMPLETED') {
+    const sender = await User.findById(result.transaction.sender);
+    await notifyRecipient({
+      sender,
+      recipient: result.recipient,
+      amount: result.transaction.amount,
+      message: result.transaction.message
+    });
+  }
+
+  return result.outcome;
+};
+
+// Execute every scheduled send that has come due
+const processDueScheduledSends = async (limit = 100) => {
+  const due = await TokenTransaction.find({
+    status: 'PENDING',
+    transactionType: 'SEND',
+    scheduledFor: { $lte: new Date() }
+  })
+  .select('_id')
+  .sort({ scheduledFor: 1 })
+  .limit(limit);
+
+  const summary = { COMPLETED: 0, FAILED: 0, SKIPPED: 0, ERROR: 0 };
+  for (const { _id } of due) {
+    try {
+      summary[await executeScheduledSend(_id)] += 1;
+    } catch (error) {
+      console.error(`Scheduled send ${_id} failed:`, error);
+      summary.ERROR += 1;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  executeScheduledSend,
+  processDueScheduledSends
+};
@@ -0,0 +1,58 @@
+// Helpers for full-text search over thank-you messages. MongoDB does the
+// matching and ranking; these pick out a snippet around the first match and
+// highlight the search terms in it.
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Words to highlight from a $text search string: quoted phrases and plain
+// words, skipping negated (-word) terms. Words are cut back to a rough stem
+// so "migrations" still highlights "migration" as MongoDB's stemming matches it.
+const parseSearchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  for (const [, phraseNegated, phrase, wordNegated, word] of String(query).matchAll(pattern)) {
+    if (phrase && !phraseNegated) terms.push(phrase.trim().toLowerCase());
+    if (word && !wordNegated) {
+      const cleaned = word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+      const stem = cleaned.length > 4 ? cleaned.replace(/(ing|ed|es|s)$/, '') : cleaned;
+      if (stem) terms.push(stem);
+    }
+  }
+  return [...new Set(terms)];
+};
+
+// A window of the message around its first matching term, HTML-escaped, with
+// every term wrapped in <mark>
+const buildSnippet = (message, terms, radius = 60) => {
+  const text = String(message || '');
+  if (!terms.length) return escapeHtml(text.slice(0, radius * 2));
+
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const first = text.search(pattern);
+  const start = first > radius ? text.lastIndexOf(' ', first - radius) + 1 || first - radius : 0;
+  const end = Math.min(text.length, Math.max(first, 0) + radius * 2);
+
+  let snippet = '';
+  let last = start;
+  const window = text.slice(start, end);
+  for (const match of window.matchAll(pattern)) {
+    snippet += `${escapeHtml(window.slice(last - start, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = start + match.index + match[0].length;
+  }
+  snippet += escapeHtml(window.slice(last - start));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  escapeHtml,
+  parseSearchTerms,
+  buildSnippet
+};
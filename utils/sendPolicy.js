@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const TokenTransaction = require('../models/TokenTransaction');
+const PolicyFlag = require('../models/PolicyFlag');
+
+// Limits on giving, checked before every send. Each rule is configured from
+// the environment and disabled by setting it to 0. A violated rule either
+// rejects the send or lets it through flagged for admin review; rules listed
+// in SEND_POLICY_FLAG_ONLY (comma separated codes) only flag.
+const HOUR = 60 * 60 * 1000;
+
+// Thrown inside a send's transaction to abort it when a rule rejects the send
+class SendPolicyError extends Error {
+  constructor(violations) {
+    const rejection = violations.find(violation => violation.action === 'REJECT');
+    super(rejection.message);
+    this.name = 'SendPolicyError';
+    this.code = rejection.code;
+    this.violations = violations;
+  }
+}
+
+const readNumber = (name, fallback) => {
+  const raw = (process.env[name] || '').trim();
+  const value = Number(raw);
+  return raw !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const getPolicy = () => ({
+  dailyCap: readNumber('SEND_DAILY_CAP', 250),
+  weeklyCap: readNumber('SEND_WEEKLY_CAP', 1000),
+  pairWeeklyCap: readNumber('SEND_PAIR_WEEKLY_CAP', 200),
+  pairCooldownMinutes: readNumber('SEND_PAIR_COOLDOWN_MINUTES', 10),
+  circularWindowHours: readNumber('CIRCULAR_FLOW_WINDOW_HOURS', 72),
+  flagOnly: (process.env.SEND_POLICY_FLAG_ONLY || 'CIRCULAR_FLOW')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean)
+});
+
+// Sends that count against the limits: delivered ones and those waiting in escrow
+const countedSends = (filter) => ({
+  ...filter,
+  transactionType: 'SEND',
+  status: { $in: ['COMPLETED', 'PENDING'] }
+});
+
+const sumSent = async (filter, session) => {
+  const [row] = await TokenTransaction.aggregate([
+    { $match: countedSends(filter) },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session);
+  return row ? row.total : 0;
+};
+
+// Check a prospective send against the policy. recipientId is null for sends
+// to unregistered addresses (only the sender caps apply). `alreadyInRequest`
+// is what the same request is already sending, for batch sends. Setting up a
+// future send (`ignoreCooldown`) isn't held back by a send made just now.
+// Returns [{ code, message, action: 'REJECT' | 'FLAG', retryAfterSeconds? }].
+const evaluateSendPolicy = async ({ senderId, recipientId = null, amount, alreadyInRequest = 0, ignoreCooldown = false, session = null }) => {
+  const policy = getPolicy();
+  const now = Date.now();
+  const sender = new mongoose.Types.ObjectId(senderId);
+  const recipient = recipientId ? new mongoose.Types.ObjectId(recipientId) : null;
+  const violations = [];
+
+  const violate = (code, message, extra = {}) => {
+    violations.push({
+      code,
+      message,
+      action: policy.flagOnly.includes(code) ? 'FLAG' : 'REJECT',
+      ...extra
+    });
+  };
+
+  if (policy.dailyCap > 0) {
+    const sentToday = await sumSent({ sender, createdAt: { $gte: new Date(now - 24 * HOUR) } }, session);
+    if (sentToday + alreadyInRequest + amount > policy.dailyCap) {
+      violate('DAILY_CAP_EXCEEDED',
+        `You can send at most ${policy.dailyCap} tokens in 24 hours (${Math.max(policy.dailyCap - sentToday, 0)} left)`);
+    }
+  }
+
+  if (policy.weeklyCap > 0) {
+    const sentThisWeek = await sumSent({ sender, createdAt: { $gte: new Date(now - 7 * 24 * HOUR) } }, session);
+    if (sentThisWeek + alreadyInRequest + amount > policy.weeklyCap) {
+      violate('WEEKLY_CAP_EXCEEDED',
+        `You can send at most ${policy.weeklyCap} tokens in 7 days (${Math.max(policy.weeklyCap - sentThisWeek, 0)} left)`);
+    }
+  }
+
+  if (!recipient) return violations;
+
+  if (policy.pairWeeklyCap > 0) {
+    const sentToPair = await sumSent({ sender, recipient, createdAt: { $gte: new Date(now - 7 * 24 * HOUR) } }, session);
+    if (sentToPair + amount > policy.pairWeeklyCap) {
+      violate('PAIR_CAP_EXCEEDED',
+        `You can send the same person at most ${policy.pairWeeklyCap} tokens in 7 days`);
+    }
+  }
+
+  if (policy.pairCooldownMinutes > 0 && !ignoreCooldown) {
+    const last = await TokenTransaction.findOne(countedSends({ sender, recipient }))
+      .sort({ createdAt: -1 })
+      .select('createdAt')
+      .session(session);
+    const readyAt = last ? last.createdAt.getTime() + policy.pairCooldownMinutes * 60 * 1000 : 0;
+    if (readyAt > now) {
+      violate('PAIR_COOLDOWN',
+        `Please wait ${policy.pairCooldownMinutes} minutes between sends to the same person`,
+        { retryAfterSeconds: Math.ceil((readyAt - now) / 1000) });
+    }
+  }
+
+  if (policy.circularWindowHours > 0) {
+    const returned = await TokenTransaction.exists(countedSends({
+      sender: recipient,
+      recipient: sender,
+      createdAt: { $gte: new Date(now - policy.circularWindowHours * HOUR) }
+    })).session(session);
+    if (returned) {
+      violate('CIRCULAR_FLOW',
+        `This person sent you tokens in the last ${policy.circularWindowHours} hours; sending back within that window is reviewed`);
+    }
+  }
+
+  return violations;
+};
+
+// Re-check a send inside its transaction, before anything is written for it.
+// The checks outside the transaction can't see sends still in flight, so the
+// sender is stamped first: a concurrent send by the same person then conflicts
+// and is retried against the committed totals. Throws SendPolicyError if a rule
+// rejects the send; returns the violations otherwise.
+const enforceSendPolicy = async (session, params) => {
+  await User.updateOne({ _id: params.senderId }, { $set: { lastSentAt: new Date() } }, { session });
+
+  const violations = await evaluateSendPolicy({ ...params, session });
+  if (violations.some(violation => violation.action === 'REJECT')) {
+    throw new SendPolicyError(violations);
+  }
+  return violations;
+};
+
+// Reply 403 with the first rejecting violation, if any; returns true if it replied
+const rejectPolicyViolations = (res, violations) => {
+  const rejection = violations.find(violation => violation.action === 'REJECT');
+  if (!rejection) return false;
+
+  if (rejection.retryAfterSeconds) {
+    res.set('Retry-After', String(rejection.retryAfterSeconds));
+  }
+  res.status(403).json({
+    success: false,
+    code: rejection.code,
+    message: rejection.message,
+    violations: violations.map(({ code, message, action }) => ({ code, message, action }))
+  });
+  return true;
+};
+
+// Queue a send that went through with flag-only violations for admin review.
+// Returns the flag, or null if nothing needed flagging.
+const flagForReview = async (session, transaction, violations) => {
+  const flagged = violations.filter(violation => violation.action === 'FLAG');
+  if (!flagged.length) return null;
+
+  const [flag] = await PolicyFlag.create([{
+    transaction: transaction._id,
+    sender: transaction.sender,
+    recipient: transaction.recipient,
+    amount: transaction.amount,
+    violations: flagged.map(({ code, message }) => ({ code, message }))
+  }], { session });
+  return flag;
+};
+
+module.exports = {
+  SendPolicyError,
+  getPolicy,
+  evaluateSendPolicy,
+  enforceSendPolicy,
+  rejectPolicyViolations,
+  flagForReview
+};
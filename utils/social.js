@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Reaction = require('../models/Reaction');
+const Comment = require('../models/Comment');
+
+// Emoji users may react with, from REACTION_EMOJI (comma separated)
+const getReactionEmoji = () => (process.env.REACTION_EMOJI || '👍,❤️,🎉,👏,🙌,😂')
+  .split(',')
+  .map(emoji => emoji.trim())
+  .filter(Boolean);
+
+// Only delivered sends can be reacted to or commented on. The sender and
+// recipient always can; anyone else only if the send is PUBLIC.
+const canInteract = (transaction, userId) => {
+  if (transaction.transactionType !== 'SEND' || !['COMPLETED', 'REVERSED'].includes(transaction.status)) {
+    return false;
+  }
+  const participants = [transaction.sender, transaction.recipient]
+    .filter(Boolean)
+    .map(id => (id._id || id).toString());
+  return participants.includes(userId) || transaction.visibility === 'PUBLIC';
+};
+
+// Reaction and comment counts for a page of transactions, keyed by transaction id:
+// { reactions: { emoji: count }, reactionCount, commentCount, myReactions }
+const getInteractionCounts = async (transactionIds, viewerId) => {
+  const ids = transactionIds.map(id => new mongoose.Types.ObjectId(id));
+  const [reactionRows, commentRows, mine] = await Promise.all([
+    Reaction.aggregate([
+      { $match: { transaction: { $in: ids } } },
+      { $group: { _id: { transaction: '$transaction', emoji: '$emoji' }, count: { $sum: 1 } } }
+    ]),
+    Comment.aggregate([
+      { $match: { transaction: { $in: ids }, deletedAt: null } },
+      { $group: { _id: '$transaction', count: { $sum: 1 } } }
+    ]),
+    viewerId
+      ? Reaction.find({ transaction: { $in: ids }, user: viewerId }).select('transaction emoji')
+      : []
+  ]);
+
+  const counts = new Map(ids.map(id => [id.toString(), {
+    reactions: {},
+    reactionCount: 0,
+    commentCount: 0,
+    myReactions: []
+  }]));
+  for (const { _id, count } of reactionRows) {
+    const entry = counts.get(_id.transaction.toString());
+    entry.reactions[_id.emoji] = count;
+    entry.reactionCount += count;
+  }
+  for (const { _id, count } of commentRows) {
+    counts.get(_id.toString()).commentCount = count;
+  }
+  for (const reaction of mine) {
+    counts.get(reaction.transaction.toString()).myReactions.push(reaction.emoji);
+  }
+  return counts;
+};
+
+// Serialize transactions with their interaction counts attached
+const withInteractionCounts = async (transactions, viewerId) => {
+  const counts = await getInteractionCounts(transactions.map(transaction => transaction._id), viewerId);
+  return transactions.map(transaction => ({
+    ...transaction.toJSON(),
+    interactions: counts.get(transaction._id.toString())
+  }));
+};
+
+// Nest a flat, oldest-first list of comments into threads
+const buildThreads = (comments) => {
+  const nodes = new Map();
+  const roots = [];
+  for (const comment of comments) {
+    const node = { ...comment.toJSON(), replies: [] };
+    nodes.set(node._id.toString(), node);
+  }
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    (parent ? parent.replies : roots).push(node);
+  }
+  return roots;
+};
+
+module.exports = {
+  getReactionEmoji,
+  canInteract,
+  getInteractionCounts,
+  withInteractionCounts,
+  buildThreads
+};
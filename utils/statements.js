@@ -0,0 +1,249 @@
+const User = require('../models/User');
+const Statement = require('../models/Statement');
+const { userActivity, ledgerCutover, ledgerCoverage } = require('./activity');
+const { currentPeriod } = require('./allowance');
+const { escapeHtml } = require('./search');
+const { sendEmail, emailTemplates } = require('./email');
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Start (inclusive) and end (exclusive) of a "YYYY-MM" period in UTC
+const periodRange = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return { start: new Date(Date.UTC(year, month - 1, 1)), end: new Date(Date.UTC(year, month, 1)) };
+};
+
+// The month before the one containing `date`
+const previousPeriod = (date = new Date()) => currentPeriod(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1)));
+
+// Statements can only be generated for months that are over
+const isClosedPeriod = (period) => PERIOD_PATTERN.test(period) && period < currentPeriod();
+
+// "September 2026"
+const periodLabel = (period) => periodRange(period).start
+  .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Thrown when the ledger can't produce a complete statement for a period;
+// `code` is BEFORE_LEDGER or OPENING_BALANCE_PENDING
+class StatementUnavailableError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'StatementUnavailableError';
+    this.code = code;
+  }
+}
+
+// The first month that starts at or after `date`
+const firstFullPeriod = (date) => {
+  const { start, end } = periodRange(currentPeriod(date));
+  return currentPeriod(date > start ? end : start);
+};
+
+// Statements are built from the ledger and can never be corrected, so refuse
+// months it doesn't fully cover (see ledgerCoverage)
+const checkStatementCoverage = async (userId, period, cutover) => {
+  if (!cutover) {
+    throw new StatementUnavailableError('BEFORE_LEDGER', 'No statements are available before the ledger started');
+  }
+
+  const { pending, coveredFrom } = await ledgerCoverage(userId, cutover);
+  if (pending) {
+    throw new StatementUnavailableError('OPENING_BALANCE_PENDING', 'Statements will be available once your balance history has been migrated');
+  }
+  if (coveredFrom && periodRange(period).start < coveredFrom) {
+    throw new StatementUnavailableError('BEFORE_LEDGER',
+      `Statements are available from ${periodLabel(firstFullPeriod(coveredFrom))}`);
+  }
+};
+
+// The user's statement for a closed period, generating and storing it from
+// the ledger the first time it is asked for. Throws StatementUnavailableError
+// for periods the ledger doesn't fully cover. Pass `cutover` to save a lookup.
+const generateStatement = async (userId, period, { cutover } = {}) => {
+  const existing = await Statement.findOne({ user: userId, period });
+  if (existing) return existing;
+
+  await checkStatementCoverage(userId, period, cutover === undefined ? await ledgerCutover() : cutover);
+
+  const { start, end } = periodRange(period);
+  let opening = { EARNED: 0, GIVE: 0 };
+  const lines = [];
+  const totals = { credits: 0, debits: 0, byType: {} };
+
+  for await (const row of userActivity(userId, { from: start, to: end, opening: balances => { opening = balances; } })) {
+    lines.push({
+      date: row.date,
+      transaction: row.transactionId,
+      type: row.type,
+      kind: row.kind,
+      bucket: row.bucket,
+      amount: row.amount,
+      counterpartName: row.counterpart ? row.counterpart.name : null,
+      counterpartEmail: row.counterpart ? row.counterpart.email : null,
+      message: row.message,
+      earnedBalance: row.earnedBalance,
+      giveBalance: row.giveBalance
+    });
+    totals[row.amount > 0 ? 'credits' : 'debits'] += Math.abs(row.amount);
+    totals.byType[row.type] = (totals.byType[row.type] || 0) + row.amount;
+  }
+
+  const last = lines[lines.length - 1];
+  try {
+    return await Statement.create({
+      user: userId,
+      period,
+      periodStart: start,
+      periodEnd: end,
+      openingBalance: { earned: opening.EARNED, give: opening.GIVE },
+      closingBalance: last
+        ? { earned: last.earnedBalance, give: last.giveBalance }
+        : { earned: opening.EARNED, give: opening.GIVE },
+      totals,
+      lines
+    });
+  } catch (error) {
+    // Generated concurrently by another request or job run
+    if (error.code === 11000) return await Statement.findOne({ user: userId, period });
+    throw error;
+  }
+};
+
+// The statement's lines as a printable HTML table; message text is escaped
+const renderStatementTable = (statement) => {
+  const cell = 'padding: 6px 8px; border-bottom: 1px solid #e5e5f0; text-align: left; vertical-align: top;';
+  const rows = statement.lines.map(line => `
+        <tr>
+          <td style="${cell}">${line.date.toISOString().slice(0, 10)}</td>
+          <td style="${cell}">${escapeHtml(line.type)}</td>
+          <td style="${cell}">${escapeHtml(line.counterpartName || line.counterpartEmail || '')}</td>
+          <td style="${cell}">${escapeHtml(line.message || '')}</td>
+          <td style="${cell}">${line.bucket}</td>
+          <td style="${cell} text-align: right;">${line.amount > 0 ? '+' : ''}${line.amount}</td>
+          <td style="${cell} text-align: right;">${line.earnedBalance}</td>
+          <td style="${cell} text-align: right;">${line.giveBalance}</td>
+        </tr>`).join('');
+
+  return `
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px; color: #222;">
+        <thead>
+          <tr>
+            <th style="${cell}">Date</th>
+            <th style="${cell}">Type</th>
+            <th style="${cell}">Counterpart</th>
+            <th style="${cell}">Message</th>
+            <th style="${cell}">Bucket</th>
+            <th style="${cell} text-align: right;">Amount</th>
+            <th style="${cell} text-align: right;">Earned</th>
+            <th style="${cell} text-align: right;">Give</th>
+          </tr>
+        </thead>
+        <tbody>${rows || `
+          <tr><td style="${cell}" colspan="8">No activity this month</td></tr>`}
+        </tbody>
+      </table>`;
+};
+
+// A standalone, printable HTML page for a statement
+const renderStatementPage = (statement, user) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Token of Thanks statement ${statement.period}</title>
+    <style>
+      body { font-family: 'Poppins', Arial, sans-serif; max-width: 900px; margin: 40px auto; color: #222; }
+      h1 { color: #6C63FF; margin-bottom: 0; }
+      .summary { display: flex; gap: 40px; margin: 24px 0; }
+      @media print { body { margin: 0; } }
+    </style>
+  </head>
+  <body>
+    <h1>Statement for ${periodLabel(statement.period)}</h1>
+    <p>${escapeHtml(`${user.firstName} ${user.lastName}`)} &lt;${escapeHtml(user.email)}&gt;</p>
+    <div class="summary">
+      <div><strong>Opening balance</strong><br>Earned ${statement.openingBalance.earned} · Give ${statement.openingBalance.give}</div>
+      <div><strong>Tokens in</strong><br>${statement.totals.credits}</div>
+      <div><strong>Tokens out</strong><br>${statement.totals.debits}</div>
+      <div><strong>Closing balance</strong><br>Earned ${statement.closingBalance.earned} · Give ${statement.closingBalance.give}</div>
+    </div>
+    ${renderStatementTable(statement)}
+    <p style="font-size: 12px; color: #777;">Generated ${statement.generatedAt.toISOString()} · Token of Thanks</p>
+  </body>
+</html>`;
+
+// Email a statement and record when it went out; returns false if sending failed
+const emailStatement = async (statement, user) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').trim();
+  const result = await sendEmail({
+    to: user.email,
+    ...emailTemplates.monthlyStatement({
+      firstName: user.firstName,
+      periodLabel: periodLabel(statement.period),
+      openingBalance: statement.openingBalance,
+      closingBalance: statement.closingBalance,
+      credits: statement.totals.credits,
+      debits: statement.totals.debits,
+      table: renderStatementTable(statement),
+      statementUrl: `${frontendUrl}/statements/${statement.period}`
+    })
+  });
+  if (!result.success) return false;
+
+  await Statement.updateOne({ _id: statement._id }, { $set: { emailedAt: new Date() } });
+  return true;
+};
+
+// Generate last month's statement for every user who existed then, and email
+// it to those who opted in. Runs often; users already done are skipped.
+const processMonthlyStatements = async (limit = 200) => {
+  const period = previousPeriod();
+  const { end } = periodRange(period);
+  const [generated, emailed] = await Promise.all([
+    Statement.distinct('user', { period }),
+    Statement.distinct('user', { period, emailedAt: { $ne: null } })
+  ]);
+  const hasStatement = new Set(generated.map(id => id.toString()));
+  const wasEmailed = new Set(emailed.map(id => id.toString()));
+
+  const summary = { GENERATED: 0, EMAILED: 0, EMAIL_FAILED: 0, UNAVAILABLE: 0, ERROR: 0 };
+  const cutover = await ledgerCutover();
+  let processed = 0;
+  const cursor = User.find({ createdAt: { $lt: end } })
+    .select('email firstName lastName statementEmails isSuspended')
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    const userId = user._id.toString();
+    const needsStatement = !hasStatement.has(userId);
+    const needsEmail = user.statementEmails && !user.isSuspended && !wasEmailed.has(userId);
+    if (!needsStatement && !needsEmail) continue;
+    if (processed >= limit) break;
+    processed += 1;
+
+    try {
+      const statement = await generateStatement(user._id, period, { cutover });
+      if (needsStatement) summary.GENERATED += 1;
+      if (needsEmail) {
+        summary[await emailStatement(statement, user) ? 'EMAILED' : 'EMAIL_FAILED'] += 1;
+      }
+    } catch (error) {
+      if (error instanceof StatementUnavailableError) {
+        summary.UNAVAILABLE += 1;
+        continue;
+      }
+      console.error(`Statement ${period} for user ${userId} failed:`, error);
+      summary.ERROR += 1;
+    }
+  }
+  return { period, ...summary };
+};
+
+module.exports = {
+  StatementUnavailableError,
+  PERIOD_PATTERN,
+  isClosedPeriod,
+  generateStatement,
+  renderStatementPage,
+  processMonthlyStatements
+};
@@ -0,0 +1,108 @@
+const TokenTransaction = require('../models/TokenTransaction');
+const CompanyValue = require('../models/CompanyValue');
+
+const HASHTAG_PATTERN = /(?:^|[^\w#])#([a-z][a-z0-9_-]*)/gi;
+
+// Lowercase a tag and drop a leading # and trailing separators ("#Customer-First," -> "customer-first")
+const normalizeTag = (tag) => String(tag).trim().replace(/^#/, '').replace(/[-_]+$/, '').toLowerCase();
+
+// Unique, normalized hashtags in a message, in order of appearance
+const extractTags = (message) => {
+  const tags = [];
+  for (const [, tag] of String(message || '').matchAll(HASHTAG_PATTERN)) {
+    const normalized = normalizeTag(tag);
+    if (normalized && !tags.includes(normalized)) tags.push(normalized);
+  }
+  return tags;
+};
+
+// Tags of the active company values, or null when none are defined (any tag allowed)
+const getAllowedTags = async () => {
+  const values = await CompanyValue.find({ isActive: true }).select('tag');
+  return values.length ? values.map(value => value.tag) : null;
+};
+
+// Parse a message's hashtags and check them against the company values.
+// Returns { tags, unknown, allowed }; `unknown` lists tags that aren't values.
+const resolveTags = async (message) => {
+  const tags = extractTags(message);
+  if (!tags.length) return { tags, unknown: [], allowed: null };
+
+  const allowed = await getAllowedTags();
+  const unknown = allowed ? tags.filter(tag => !allowed.includes(tag)) : [];
+  return { tags: tags.filter(tag => !unknown.includes(tag)), unknown, allowed };
+};
+
+// Reply 400 when a message uses tags outside the company values; returns true if it replied
+const rejectUnknownTags = (res, { unknown, allowed }) => {
+  if (!unknown.length) return false;
+
+  res.status(400).json({
+    success: false,
+    code: 'UNKNOWN_TAG',
+    message: `Unknown company value${unknown.length > 1 ? 's' : ''}: ${unknown.map(tag => `#${tag}`).join(', ')}`,
+    allowedTags: allowed
+  });
+  return true;
+};
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+// Count tagged, delivered sends. groupBy 'period' buckets by day/week/month/year
+// (UTC); groupBy 'user' counts per recipient (or per sender with side 'sender').
+// Returns rows of { tag, period | user, count, amount }, busiest first.
+const getTagCounts = async ({ groupBy = 'period', period = 'month', side = 'recipient', from, to, tag, userId } = {}) => {
+  const match = { transactionType: 'SEND', status: 'COMPLETED', tags: { $exists: true, $ne: [] } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+  if (userId) match[side] = userId;
+
+  const key = groupBy === 'user'
+    ? `$${side}`
+    : { $dateToString: { format: PERIOD_FORMATS[period] || PERIOD_FORMATS.month, date: '$createdAt', timezone: 'UTC' } };
+
+  const rows = await TokenTransaction.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    ...(tag ? [{ $match: { tags: tag } }] : []),
+    { $group: { _id: { tag: '$tags', key }, count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+    { $sort: { count: -1, '_id.tag': 1 } },
+    { $limit: 1000 },
+    ...(groupBy === 'user'
+      ? [
+          { $lookup: { from: 'users', localField: '_id.key', foreignField: '_id', as: 'user' } },
+          { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+        ]
+      : [])
+  ]);
+
+  return rows.map(row => ({
+    tag: row._id.tag,
+    ...(groupBy === 'user'
+      ? {
+          user: row.user
+            ? { _id: row.user._id, firstName: row.user.firstName, lastName: row.user.lastName }
+            : { _id: row._id.key }
+        }
+      : { period: row._id.key }),
+    count: row.count,
+    amount: row.amount
+  }));
+};
+
+module.exports = {
+  normalizeTag,
+  extractTags,
+  getAllowedTags,
+  resolveTags,
+  rejectUnknownTags,
+  getTagCounts
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password, etc.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode a buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Current time step
+const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+// Generate a new random 160-bit secret, base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Check a code against the secret, allowing `window` steps of clock drift.
+// Returns the matching time step (to block replays) or null.
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+// Build the otpauth:// URL that authenticator apps read from a QR code
+const buildOtpauthUrl = (secret, accountName, issuer = 'Token of Thanks') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl
+};
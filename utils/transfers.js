@@ -0,0 +1,23 @@
+const { sendEmail, emailTemplates } = require('./email');
+
+// Email the recipient of a completed send; never throws, so a mail failure
+// can't undo a transfer that already happened
+const notifyRecipient = async ({ sender, recipient, amount, message }) => {
+  try {
+    await sendEmail({
+      to: recipient.email,
+      ...emailTemplates.tokenReceived({
+        amount,
+        senderName: sender.fullName,
+        message,
+        newBalance: recipient.tokenBalance
+      })
+    });
+  } catch (emailError) {
+    console.error('Email sending failed:', emailError);
+  }
+};
+
+module.exports = {
+  notifyRecipient
+};